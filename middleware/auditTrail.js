@@ -0,0 +1,65 @@
+// middleware/auditTrail.js
+const AuditLog = require("../models/AuditLog");
+const { snapshot, diffSnapshots } = require("../utils/diff");
+
+const MUTATING = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// Login and token refresh have their own attempt log (LoginAttempt)
+const SKIPPED_PATHS = ["/api/auth/login", "/api/auth/refresh"];
+
+// Body fields never written to the trail
+const REDACTED = new Set(["password", "currentPassword", "newPassword", "refreshToken", "otp", "code", "secret"]);
+
+function redact(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return undefined;
+  const copy = {};
+  Object.entries(body).forEach(([key, value]) => {
+    copy[key] = REDACTED.has(key) ? "[redacted]" : value;
+  });
+  return copy;
+}
+
+// ✅ Records every mutating request to the AuditLog once the response is sent
+// Handlers describe what they touched through req.audit:
+//   req.audit.targetType / targetId – the record acted on (defaults to the mount, e.g. "products", and the :id param)
+//   req.audit.before / after        – state before and after the change (diffed field by field);
+//                                     take `before` with snapshot() since the document is edited in place
+//   req.audit.note                  – free-text context, e.g. a tombstone id
+module.exports = () => {
+  return (req, res, next) => {
+    if (!MUTATING.has(req.method) || SKIPPED_PATHS.includes(req.path)) return next();
+
+    req.audit = {};
+    const ip = req.ip;
+    const path = req.originalUrl;
+
+    res.on("finish", () => {
+      const { targetType, targetId, before, after, note } = req.audit;
+      const success = res.statusCode < 400;
+      const beforeSnap = snapshot(before);
+      const afterSnap = success ? snapshot(after) : undefined;
+
+      AuditLog.create({
+        userId: req.user?.id,
+        username: req.user?.username,
+        role: req.user?.role,
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+        path,
+        statusCode: res.statusCode,
+        success,
+        targetType: targetType || req.baseUrl.replace(/^\/api\//, "") || undefined,
+        targetId: targetId || req.params?.id || before?._id?.toString() || after?._id?.toString(),
+        ip,
+        userAgent: req.get("User-Agent"),
+        body: req.is("multipart/form-data") ? undefined : redact(req.body),
+        before: beforeSnap,
+        after: afterSnap,
+        changes: beforeSnap && afterSnap ? diffSnapshots(beforeSnap, afterSnap) : [],
+        note,
+      }).catch((err) => console.error("❌ Failed to write audit log:", err));
+    });
+
+    next();
+  };
+};
@@ -1,23 +1,45 @@
 // middleware/auth.js
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { permissionsForRole } = require("../utils/permissions");
 
-module.exports = (roles = []) => {
-  return (req, res, next) => {
+// ✅ auth() → any signed-in user; auth(["stock.sell", …]) → user's role must grant every permission
+module.exports = (permissions = []) => {
+  return async (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
     const token = authHeader.split(" ")[1];
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      if (roles.length && !roles.includes(decoded.role)) {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    try {
+      // ✅ Re-check the user so disabling, role changes and logout-all apply immediately
+      const user = await User.findById(decoded.id).select("username role isActive tokenVersion locations");
+      if (!user || !user.isActive || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+        return res.status(401).json({ error: "Session has been revoked" });
+      }
+
+      const granted = await permissionsForRole(user.role);
+      if (!permissions.every((p) => granted.has("*") || granted.has(p))) {
         return res.status(403).json({ error: "Access denied" });
       }
-      req.user = decoded;
+      req.user = {
+        id: user._id.toString(),
+        username: user.username,
+        role: user.role,
+        permissions: [...granted],
+        locations: (user.locations || []).map(String), // empty = every location
+      };
       next();
-    } catch {
-      res.status(401).json({ error: "Invalid token" });
+    } catch (err) {
+      next(err);
     }
   };
 };
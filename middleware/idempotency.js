@@ -0,0 +1,107 @@
+// middleware/idempotency.js
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { HttpError } = require("../utils/httpError");
+
+// A request that neither commits nor answers within this time (crashed process) can be taken over by a retry
+const LEASE_MS = 60 * 1000;
+
+// ✅ Replays the stored response when a request is retried with the same Idempotency-Key header
+// Only successful (2xx) responses are kept, so a failed attempt can be retried as-is.
+// Routes call `req.idempotency?.commit({ session })` inside their transaction: the key is marked applied
+// together with the stock change, so a retry can never apply it twice, even after a crash or takeover.
+module.exports = () => {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+
+    const userId = req.user?.id;
+    const requestHash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(req.body || {}))
+      .digest("hex");
+    const owner = crypto.randomUUID();
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash,
+        owner,
+        lockedUntil: new Date(Date.now() + LEASE_MS),
+      });
+    } catch (err) {
+      if (err.code !== 11000) return next(err);
+
+      const existing = await IdempotencyKey.findOne({ key, userId });
+      if (!existing) {
+        return res.status(409).json({ error: "Idempotency-Key conflict, please retry" });
+      }
+      if (
+        existing.method !== req.method ||
+        existing.path !== req.originalUrl ||
+        existing.requestHash !== requestHash
+      ) {
+        return res.status(422).json({ error: "Idempotency-Key was already used for a different request" });
+      }
+      if (existing.status === "completed") {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+      if (existing.status === "committed") {
+        return res.status(409).json({ error: "This request was already applied, but its response was lost" });
+      }
+
+      // An abandoned attempt never committed, so taking it over cannot apply the change twice
+      const now = new Date();
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: "in_progress", lockedUntil: { $lt: now } },
+        { $set: { owner, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+      }
+    }
+
+    req.idempotency = {
+      // Mark the key applied in the route's transaction (aborts it if a retry took the key over)
+      commit: async ({ session } = {}) => {
+        const marked = await IdempotencyKey.updateOne(
+          { _id: record._id, owner, status: "in_progress" },
+          { $set: { status: "committed" } },
+          { session }
+        );
+        if (!marked.modifiedCount) throw new HttpError(409, "This request was taken over by a retry");
+      },
+    };
+
+    // Settled when the route answers, even if the client has already disconnected
+    let settled = false;
+    const settle = (status, body) => {
+      if (settled) return;
+      settled = true;
+      const done = status >= 200 && status < 300 && body !== undefined
+        ? IdempotencyKey.updateOne(
+          { _id: record._id, owner },
+          { $set: { status: "completed", responseStatus: status, responseBody: body } }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id, owner, status: "in_progress" });
+      done.catch((err) => console.error("❌ Idempotency record update failed:", err));
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settle(res.statusCode, JSON.parse(JSON.stringify(body ?? null)));
+      return originalJson(body);
+    };
+    res.on("close", () => {
+      if (res.writableFinished) settle(res.statusCode);
+    });
+
+    next();
+  };
+};
@@ -0,0 +1,34 @@
+// middleware/rateLimit.js
+
+// ✅ Simple in-memory fixed-window limiter per client IP (per server instance)
+module.exports = ({ windowMs = 60 * 1000, max = 60 } = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count += 1;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - entry.count, 0)));
+    res.set("RateLimit-Reset", String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: "Too many requests, please try again later" });
+    }
+    next();
+  };
+};
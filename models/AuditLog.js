@@ -0,0 +1,50 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+// Append-only trail of every mutating API request: who, what, when, from where, and what changed
+const auditLogSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    username: { type: String, index: true },
+    role: { type: String },
+    method: { type: String, required: true },
+    route: { type: String }, // matched route pattern, e.g. /api/products/update/:id
+    path: { type: String, required: true }, // actual URL requested
+    statusCode: { type: Number },
+    success: { type: Boolean, index: true },
+    targetType: { type: String, index: true }, // e.g. "product", "user"
+    targetId: { type: String, index: true },
+    ip: { type: String },
+    userAgent: { type: String },
+    body: { type: mongoose.Schema.Types.Mixed }, // request body with secrets redacted
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    changes: [
+      {
+        _id: false,
+        field: { type: String },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    note: { type: String },
+    date: { type: Date, default: Date.now, index: true },
+  }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, date: -1 });
+
+// ✅ Entries can be added but never changed or removed
+function rejectMutation(next) {
+  next(new Error("Audit log entries are append-only"));
+}
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+  "deleteOne", "deleteMany", "findOneAndDelete"].forEach((op) => {
+  auditLogSchema.pre(op, { document: false, query: true }, rejectMutation);
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,46 @@
+// models/AuditSession.js
+const mongoose = require("mongoose");
+
+const countSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    sku: { type: String },
+    name: { type: String },
+    countedQty: { type: Number, required: true, min: 0 },
+    expectedQty: { type: Number }, // stock held at the audit's location when this count was taken
+    countedWeight: { type: Number, min: 0 }, // total grams counted, optional
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    countedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const adjustmentSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    sku: { type: String },
+    expectedQty: { type: Number, required: true },
+    countedQty: { type: Number, required: true },
+    variance: { type: Number, required: true },
+    movementId: { type: mongoose.Schema.Types.ObjectId, ref: "StockMovement" },
+  },
+  { _id: false }
+);
+
+// Physical stock count at one location: opened by an admin, counted by staff, approved into adjustments
+const auditSessionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // e.g. "Oct 2025 showroom count"
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: "Location" }, // where the stock is counted
+    status: { type: String, enum: ["open", "approved", "cancelled"], default: "open" },
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    counts: [countSchema],
+    adjustments: [adjustmentSchema],
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedAt: { type: Date },
+    remarks: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("AuditSession", auditSessionSchema);
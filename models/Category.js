@@ -0,0 +1,27 @@
+// models/Category.js
+const mongoose = require("mongoose");
+
+// Product category tree, e.g. Rings > Engagement, Necklaces > Chokers
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9]{1,6}$/, "Code must be 1–6 letters or digits"],
+    }, // used by the {CATEGORY} SKU token, e.g. "RNG"
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }], // root first, parent last
+    lowQuantity: { type: Number, default: 0, min: 0 }, // reorder level for its products (0 = inherit)
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ parentId: 1, name: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
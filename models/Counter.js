@@ -0,0 +1,20 @@
+// models/Counter.js
+const mongoose = require("mongoose");
+
+// Named sequences (e.g. "invoice:2025-26") incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+// ✅ Atomically take the next number of a sequence (pass a session to roll back with a transaction)
+counterSchema.statics.next = async function (key, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,48 @@
+// models/Customer.js
+const mongoose = require("mongoose");
+
+const PHONE_REGEX = /^[6-9]\d{9}$/; // Indian mobile number
+const PAN_REGEX = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const customerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    phone: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: [PHONE_REGEX, "Phone must be a 10-digit mobile number"],
+    },
+    email: { type: String, trim: true, lowercase: true },
+    address: { type: String, trim: true },
+    stateCode: { type: String, trim: true }, // GST state code, e.g. "27"
+    pan: { type: String, trim: true, uppercase: true, match: [PAN_REGEX, "Invalid PAN"] },
+    gstin: { type: String, trim: true, uppercase: true, match: [GSTIN_REGEX, "Invalid GSTIN"] },
+
+    // Optional KYC details
+    kyc: {
+      idType: { type: String, enum: ["aadhaar", "passport", "voter_id", "driving_licence"] },
+      idNumber: { type: String, trim: true },
+      verifiedAt: { type: Date },
+      verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+
+    notes: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+customerSchema.index({ name: 1 });
+
+// ✅ GSTIN carries the state code in its first two digits
+customerSchema.pre("validate", function (next) {
+  if (this.gstin && !this.stateCode) this.stateCode = this.gstin.slice(0, 2);
+  next();
+});
+
+const Customer = mongoose.model("Customer", customerSchema);
+Customer.PHONE_REGEX = PHONE_REGEX;
+
+module.exports = Customer;
@@ -0,0 +1,19 @@
+// models/DayClose.js
+const mongoose = require("mongoose");
+
+// One document per closed business day; movements on or before the latest closed day are refused
+const dayCloseSchema = new mongoose.Schema(
+  {
+    dayKey: { type: String, required: true, unique: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    products: { type: Number, default: 0 }, // snapshots written
+    openingQty: { type: Number, default: 0 },
+    addedQty: { type: Number, default: 0 },
+    soldQty: { type: Number, default: 0 },
+    closingQty: { type: Number, default: 0 },
+    remarks: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: "closedAt", updatedAt: false } }
+);
+
+module.exports = mongoose.model("DayClose", dayCloseSchema);
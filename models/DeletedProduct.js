@@ -0,0 +1,19 @@
+// models/DeletedProduct.js
+const mongoose = require("mongoose");
+
+// Tombstone: full snapshot of a hard-deleted product and the history removed with it
+const deletedProductSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    sku: { type: String, index: true },
+    name: { type: String },
+    product: { type: mongoose.Schema.Types.Mixed, required: true },
+    transactions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    inventoryHistory: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: "deletedAt", updatedAt: false } }
+);
+
+module.exports = mongoose.model("DeletedProduct", deletedProductSchema);
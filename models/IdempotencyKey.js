@@ -0,0 +1,23 @@
+// models/IdempotencyKey.js
+const mongoose = require("mongoose");
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    // in_progress → committed (in the route's transaction) → completed (response stored for replay)
+    status: { type: String, enum: ["in_progress", "committed", "completed"], default: "in_progress" },
+    owner: { type: String }, // attempt currently holding the key
+    lockedUntil: { type: Date }, // lease of that attempt; an expired in_progress key can be taken over
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }, // kept for 24h
+  }
+);
+
+idempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -1,12 +1,36 @@
 const mongoose = require('mongoose');
 
+// Daily per-product rollup, derived from the StockMovement ledger
 const inventoryHistorySchema = new mongoose.Schema({
   productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  dayKey: { type: String, required: true }, // business day "YYYY-MM-DD"
   date: { type: Date, default: Date.now },
   openingQty: { type: Number, required: true },
   addedQty: { type: Number, default: 0 },
   soldQty: { type: Number, default: 0 },
   closingQty: { type: Number, required: true },
+  unitGrossWeight: { type: Number }, // per-piece weights captured at day close
+  unitNetWeight: { type: Number },
+  locked: { type: Boolean, default: false }, // set by day close; locked rows never change
 }, { timestamps: true });
 
+inventoryHistorySchema.index({ productId: 1, dayKey: 1 }, { unique: true });
+
+// ✅ Rows of a closed day are frozen
+inventoryHistorySchema.pre('save', function (next) {
+  if (!this.isNew && this.locked && !this.isModified('locked')) {
+    return next(new Error(`Inventory history for ${this.dayKey} is closed and cannot be changed`));
+  }
+  next();
+});
+
+// ✅ Query updates and deletes skip locked rows; only day close / reopen pass { includeLocked: true }
+function excludeLocked() {
+  if (!this.getOptions().includeLocked) this.where({ locked: { $ne: true } });
+}
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((op) => {
+  inventoryHistorySchema.pre(op, { document: false, query: true }, excludeLocked);
+});
+
 module.exports = mongoose.model('InventoryHistory', inventoryHistorySchema);
@@ -0,0 +1,65 @@
+// models/Invoice.js
+const mongoose = require("mongoose");
+
+const invoiceItemSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    sku: { type: String, required: true },
+    name: { type: String, required: true },
+    huid: { type: String },
+    metalType: { type: String },
+    purity: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    netWeight: { type: Number, default: 0 }, // total grams for the line
+    ratePerGram: { type: Number, default: 0 },
+    metalValue: { type: Number, default: 0 },
+    makingCharges: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNo: { type: String, required: true, unique: true }, // e.g. INV/2025-26/0001
+    financialYear: { type: String, required: true },
+    sequence: { type: Number, required: true },
+    date: { type: Date, default: Date.now },
+    dayKey: { type: String }, // business day "YYYY-MM-DD" the bill is dated and numbered under
+
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", index: true },
+    customer: {
+      name: { type: String, required: true, trim: true },
+      phone: { type: String, trim: true },
+      address: { type: String, trim: true },
+      pan: { type: String, trim: true, uppercase: true },
+      gstin: { type: String, trim: true, uppercase: true },
+      stateCode: { type: String, trim: true },
+    },
+
+    items: { type: [invoiceItemSchema], validate: (v) => v.length > 0 },
+
+    supplyType: { type: String, enum: ["intra", "inter"], default: "intra" },
+    gstRate: { type: Number, default: 3 }, // percent
+    taxableValue: { type: Number, required: true },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    roundOff: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+
+    // Old-gold exchanges adjusted against this bill
+    exchangeIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "OldGoldExchange" }],
+    exchangeCredit: { type: Number, default: 0 },
+    amountPayable: { type: Number, required: true },
+
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: "Location" }, // showroom / branch the stock left
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    remarks: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
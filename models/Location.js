@@ -0,0 +1,19 @@
+// models/Location.js
+const mongoose = require("mongoose");
+
+// A place stock is held: showroom, back-office safe, branch …
+const locationSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // e.g. "MAIN", "SAFE"
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: ["showroom", "safe", "branch", "warehouse"], default: "showroom" },
+    address: { type: String, trim: true },
+    isDefault: { type: Boolean, default: false }, // where stock goes when no location is given
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+locationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+module.exports = mongoose.model("Location", locationSchema);
@@ -0,0 +1,18 @@
+// models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+// Every login attempt (kept 90 days) so admins can review failures
+const loginAttemptSchema = new mongoose.Schema({
+  username: { type: String, index: true },
+  ip: { type: String, index: true },
+  userAgent: { type: String },
+  success: { type: Boolean, required: true },
+  reason: {
+    type: String,
+    enum: ["ok", "unknown_user", "bad_password", "disabled", "otp_required", "bad_otp", "throttled"],
+    required: true,
+  },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 90 },
+});
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,12 @@
+// models/LoginThrottle.js
+const mongoose = require("mongoose");
+
+// Failure counter per "user:<name>" or "ip:<address>"; forgotten after a day without failures
+const loginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 },
+  lockedUntil: { type: Date },
+});
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,49 @@
+// models/MetalRate.js
+const mongoose = require("mongoose");
+const Product = require("./Product");
+
+const metalRateSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // business day key
+    metalType: { type: String, enum: Object.keys(Product.PURITIES), required: true },
+    purity: { type: String, required: true },
+    ratePerGram: { type: Number, required: true, min: 0 },
+    setBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// One rate per metal & purity per business day
+metalRateSchema.index({ date: 1, metalType: 1, purity: 1 }, { unique: true });
+
+metalRateSchema.path("purity").validate(function (value) {
+  return (Product.PURITIES[this.metalType] || []).includes(value);
+}, "Invalid purity for the selected metal");
+
+// ✅ Latest rate on or before a date for every metal & purity, keyed "metal|purity"
+metalRateSchema.statics.getEffectiveRates = async function (dateKey) {
+  const rows = await this.aggregate([
+    { $match: { date: { $lte: dateKey } } },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: { metalType: "$metalType", purity: "$purity" },
+        date: { $first: "$date" },
+        ratePerGram: { $first: "$ratePerGram" },
+      },
+    },
+  ]);
+
+  const rates = {};
+  rows.forEach((r) => {
+    rates[`${r._id.metalType}|${r._id.purity}`] = {
+      metalType: r._id.metalType,
+      purity: r._id.purity,
+      date: r.date,
+      ratePerGram: r.ratePerGram,
+    };
+  });
+  return rates;
+};
+
+module.exports = mongoose.model("MetalRate", metalRateSchema);
@@ -0,0 +1,35 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+
+const CHANNELS = ["log", "webhook", "email"];
+
+// Outbox: messages are queued here (inside the same transaction as the change that caused them)
+// and delivered by the outbox worker, with retries
+const notificationSchema = new mongoose.Schema(
+  {
+    event: { type: String, required: true }, // e.g. "stock.low", "stock.digest", "test"
+    channel: { type: String, enum: CHANNELS, required: true },
+    to: { type: String }, // email recipients or webhook URL (defaults from env when empty)
+    subject: { type: String, required: true },
+    text: { type: String, default: "" },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    attachments: [{ _id: false, filename: { type: String }, path: { type: String } }], // files on this server
+    dedupeKey: { type: String }, // e.g. "digest:2025-10-19:email" so a digest is queued once
+    status: { type: String, enum: ["pending", "sending", "sent", "failed"], default: "pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date }, // lease of the worker delivering it ("sending"); expired leases are reclaimed
+    lastError: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ status: 1, lockedUntil: 1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+Notification.CHANNELS = CHANNELS;
+
+module.exports = Notification;
@@ -0,0 +1,29 @@
+// models/OldGoldExchange.js
+const mongoose = require("mongoose");
+const Product = require("./Product");
+
+const oldGoldExchangeSchema = new mongoose.Schema(
+  {
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", required: true },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" }, // set once adjusted against a bill
+    date: { type: Date, default: Date.now },
+
+    metalType: { type: String, enum: Object.keys(Product.PURITIES), required: true },
+    purity: { type: String, required: true },
+    grossWeight: { type: Number, required: true, min: 0 },
+    deductionPercent: { type: Number, default: 0, min: 0, max: 100 }, // melting / dust loss
+    netWeight: { type: Number, required: true, min: 0 },
+    ratePerGram: { type: Number, required: true, min: 0 },
+    valueCredited: { type: Number, required: true, min: 0 },
+
+    remarks: { type: String, default: "" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+oldGoldExchangeSchema.path("purity").validate(function (value) {
+  return (Product.PURITIES[this.metalType] || []).includes(value);
+}, "Invalid purity for the selected metal");
+
+module.exports = mongoose.model("OldGoldExchange", oldGoldExchangeSchema);
@@ -1,13 +1,65 @@
 // models/Product.js
 const mongoose = require("mongoose");
 
+// ✅ Allowed purities per metal (karat for gold, millesimal fineness otherwise)
+const PURITIES = {
+  gold: ["24K", "22K", "18K", "14K"],
+  silver: ["999", "925"],
+  platinum: ["950", "900"],
+};
+
+// ✅ Fine-metal fraction per purity (used to reconcile weights across purities)
+const FINENESS = {
+  "24K": 0.999, "22K": 0.916, "18K": 0.75, "14K": 0.585,
+  "999": 0.999, "925": 0.925, "950": 0.95, "900": 0.9,
+};
+
+// BIS HUID is a 6-character alphanumeric code
+const HUID_REGEX = /^[A-Z0-9]{6}$/;
+
 const productSchema = new mongoose.Schema(
   {
-    sku: { type: String, index: true },
+    sku: { type: String, unique: true, sparse: true, uppercase: true, trim: true },
+    legacySkus: { type: [String], default: undefined, index: true }, // earlier SKUs after a re-key
     name: { type: String, required: true },
     quantity: { type: Number, default: 0 }, // current stock
     lowQuantity: { type: Number, default: 0 },
 
+    // Metal & weight attributes (weights in grams, per piece)
+    metalType: { type: String, enum: Object.keys(PURITIES) },
+    purity: {
+      type: String,
+      validate: {
+        validator: function (value) {
+          if (!value) return true;
+          return (PURITIES[this.metalType] || []).includes(value);
+        },
+        message: (props) => `Invalid purity "${props.value}" for the selected metal`,
+      },
+    },
+    grossWeight: { type: Number, default: 0, min: 0 },
+    netWeight: { type: Number, default: 0, min: 0 },
+    stoneWeight: { type: Number, default: 0, min: 0 },
+    makingCharges: { type: Number, default: 0, min: 0 }, // ₹ per piece
+    huid: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [HUID_REGEX, "HUID must be 6 alphanumeric characters"],
+    },
+
+    photoUrl: { type: String, trim: true }, // shown in the public catalogue
+
+    // Classification
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+    tags: { type: [String], default: undefined }, // collections, lowercase: "bridal", "festive"
+    attributes: {
+      size: { type: String, trim: true, uppercase: true }, // ring / bangle size, e.g. "14", "2.6"
+      length: { type: Number, min: 0 }, // chains & necklaces, in inches
+      stoneType: { type: String, trim: true, lowercase: true }, // e.g. "diamond", "ruby"
+      stoneCarat: { type: Number, min: 0 }, // total carat weight of the stones
+    },
+
     // Stock tracking fields
     openingQty: { type: Number, default: 0 },
     addedQty: { type: Number, default: 0 },
@@ -17,7 +69,32 @@ const productSchema = new mongoose.Schema(
     date: { type: Date, default: Date.now },
     isActive: { type: Boolean, default: true }, // soft delete flag
   },
-  { timestamps: true }
+  // autoIndex is off: the unique sku index must not be built before duplicate SKUs are re-keyed,
+  // so server.js builds these indexes at startup via ensureSkuIndex (utils/sku.js).
+  { timestamps: true, optimisticConcurrency: true, autoIndex: false }
 );
 
-module.exports = mongoose.model("Product", productSchema);
+// ✅ Indexes backing the paginated listing (filters + sort fields)
+productSchema.index({ isActive: 1, name: 1, _id: 1 });
+productSchema.index({ isActive: 1, metalType: 1, purity: 1 });
+productSchema.index({ isActive: 1, grossWeight: 1 });
+productSchema.index({ isActive: 1, netWeight: 1 });
+productSchema.index({ isActive: 1, quantity: 1 });
+productSchema.index({ isActive: 1, createdAt: -1 });
+productSchema.index({ huid: 1 }, { sparse: true });
+productSchema.index({ isActive: 1, categoryId: 1 });
+productSchema.index({ tags: 1 });
+
+// ✅ Net + stone weight can never exceed the gross weight
+productSchema.pre("validate", function (next) {
+  if (this.grossWeight && this.netWeight + this.stoneWeight > this.grossWeight + 1e-6) {
+    this.invalidate("netWeight", "Net weight plus stone weight cannot exceed gross weight");
+  }
+  next();
+});
+
+const Product = mongoose.model("Product", productSchema);
+Product.PURITIES = PURITIES;
+Product.FINENESS = FINENESS;
+
+module.exports = Product;
@@ -0,0 +1,51 @@
+// models/PurchaseOrder.js
+const mongoose = require("mongoose");
+
+const receiptSchema = new mongoose.Schema(
+  {
+    date: { type: Date, default: Date.now },
+    quantity: { type: Number, required: true, min: 1 },
+    weight: { type: Number, default: 0 }, // finished grams received
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: "Location" }, // where the goods were put
+  },
+  { _id: false }
+);
+
+const orderItemSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  sku: { type: String },
+  name: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  unitCost: { type: Number, default: 0, min: 0 },
+  receivedQty: { type: Number, default: 0 },
+  receipts: [receiptSchema],
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: { type: String, required: true, unique: true }, // e.g. PO/2025-26/0001
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier", required: true, index: true },
+    date: { type: Date, default: Date.now },
+    items: { type: [orderItemSchema], validate: (v) => v.length > 0 },
+    status: {
+      type: String,
+      enum: ["open", "partial", "received", "cancelled"],
+      default: "open",
+    },
+    remarks: { type: String, default: "" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// ✅ Keep status in step with received quantities
+purchaseOrderSchema.methods.refreshStatus = function () {
+  if (this.status === "cancelled") return this.status;
+  const received = this.items.reduce((sum, i) => sum + i.receivedQty, 0);
+  const fullyReceived = this.items.every((i) => i.receivedQty >= i.quantity);
+  this.status = fullyReceived ? "received" : received > 0 ? "partial" : "open";
+  return this.status;
+};
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
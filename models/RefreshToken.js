@@ -0,0 +1,20 @@
+// models/RefreshToken.js
+const mongoose = require("mongoose");
+
+// Server-side refresh tokens; only a SHA-256 hash of the token is stored
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    familyId: { type: String, required: true, index: true }, // all rotations of one login
+    tokenVersion: { type: Number, required: true }, // User.tokenVersion when issued
+    expiresAt: { type: Date, required: true, expires: 0 }, // TTL: removed once expired
+    revokedAt: { type: Date },
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "RefreshToken" },
+    createdByIp: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,39 @@
+// models/ReportDefinition.js
+const mongoose = require("mongoose");
+
+// A saved report (dataset + range + format) that the scheduler runs daily or monthly
+const reportDefinitionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    report: { type: String, required: true }, // key in utils/reports.js, e.g. "transactions"
+    format: { type: String, enum: ["xlsx", "pdf", "csv", "json"], default: "xlsx" },
+    params: {
+      type: { type: String }, // range vocabulary: today, yesterday, this_month …
+      start: { type: String },
+      end: { type: String },
+      sort: { type: String },
+      month: { type: String }, // stock register: YYYY-MM, current or previous
+      locationId: { type: String }, // stock / register: "id,id" of locations (empty = consolidated)
+      groupBy: { type: String, enum: ["category"] }, // stock / reorder / register: subtotal per category
+    },
+    schedule: {
+      frequency: { type: String, enum: ["daily", "monthly"], required: true },
+      hour: { type: Number, min: 0, max: 23, default: 8 }, // shop-local hour the run becomes due
+      dayOfMonth: { type: Number, min: 1, max: 28, default: 1 }, // monthly only
+    },
+    delivery: {
+      mode: { type: String, enum: ["file", "outbox"], default: "file" }, // outbox also keeps the file
+      channels: { type: [String], default: undefined }, // outbox channels (default: NOTIFY_CHANNELS)
+    },
+    isActive: { type: Boolean, default: true },
+
+    lastRunKey: { type: String }, // "YYYY-MM-DD" or "YYYY-MM" of the last scheduled run
+    lastRunAt: { type: Date },
+    lastFile: { type: String },
+    lastError: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ReportDefinition", reportDefinitionSchema);
@@ -0,0 +1,14 @@
+// models/Role.js
+const mongoose = require("mongoose");
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    description: { type: String, default: "" },
+    permissions: { type: [String], default: [] }, // see utils/permissions.js
+    builtIn: { type: Boolean, default: false }, // shipped roles can be edited but not deleted
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Role", roleSchema);
@@ -0,0 +1,30 @@
+// models/StockAlert.js
+const mongoose = require("mongoose");
+
+const ALERT_STATUSES = ["open", "acknowledged", "snoozed", "resolved"];
+
+// Raised when a stock movement takes a product to or below its lowQuantity; resolved once restocked
+const stockAlertSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    sku: { type: String },
+    name: { type: String },
+    quantity: { type: Number, required: true }, // stock when last checked
+    lowQuantity: { type: Number, required: true },
+    status: { type: String, enum: ALERT_STATUSES, default: "open", index: true },
+    active: { type: Boolean, default: true }, // false once resolved; one active alert per product
+    acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    acknowledgedAt: { type: Date },
+    snoozedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    snoozedUntil: { type: Date },
+    resolvedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+stockAlertSchema.index({ productId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+const StockAlert = mongoose.model("StockAlert", stockAlertSchema);
+StockAlert.STATUSES = ALERT_STATUSES;
+
+module.exports = StockAlert;
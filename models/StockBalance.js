@@ -0,0 +1,16 @@
+// models/StockBalance.js
+const mongoose = require("mongoose");
+
+// Pieces of a product held at one location (changed only through recordMovement)
+const stockBalanceSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: "Location", required: true, index: true },
+    quantity: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+stockBalanceSchema.index({ productId: 1, locationId: 1 }, { unique: true });
+
+module.exports = mongoose.model("StockBalance", stockBalanceSchema);
@@ -0,0 +1,54 @@
+// models/StockMovement.js
+const mongoose = require("mongoose");
+
+const MOVEMENT_TYPES = ["sale", "purchase", "return", "adjustment", "transfer"];
+
+// Append-only ledger: one immutable entry per stock event
+const stockMovementSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    sku: { type: String },
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    quantity: {
+      type: Number,
+      required: true,
+      validate: { validator: (v) => Number.isInteger(v) && v !== 0, message: "Quantity must be a non-zero integer" },
+    }, // signed: + into stock, − out of stock
+    balanceAfter: { type: Number, required: true }, // product total (all locations + in transit)
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: "Location" }, // unset on pre-location entries
+    locationBalanceAfter: { type: Number }, // stock at locationId after this entry
+    dayKey: { type: String, required: true }, // business day "YYYY-MM-DD"
+    date: { type: Date, default: Date.now },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, default: "" },
+    reference: { type: String, default: "" }, // e.g. invoice or PO number
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ productId: 1, dayKey: 1, date: 1 });
+stockMovementSchema.index({ locationId: 1, date: 1 });
+
+// ✅ Entries can be added but never changed or removed
+function rejectMutation(next) {
+  next(new Error("Stock movements are append-only"));
+}
+stockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+  "deleteOne", "deleteMany", "findOneAndDelete"].forEach((op) => {
+  stockMovementSchema.pre(op, { document: false, query: true }, rejectMutation);
+});
+
+// ✅ Change to the product total: transfers only move stock between locations
+function productDelta(movement) {
+  return movement.type === "transfer" ? 0 : movement.quantity;
+}
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+StockMovement.TYPES = MOVEMENT_TYPES;
+StockMovement.productDelta = productDelta;
+
+module.exports = StockMovement;
@@ -0,0 +1,33 @@
+// models/StockTransfer.js
+const mongoose = require("mongoose");
+
+const transferItemSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    sku: { type: String },
+    name: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
+// Two-step transfer: dispatch takes stock out of the source (in transit), receipt puts it into the destination
+const stockTransferSchema = new mongoose.Schema(
+  {
+    transferNo: { type: String, required: true, unique: true }, // e.g. TRF-0001
+    fromLocationId: { type: mongoose.Schema.Types.ObjectId, ref: "Location", required: true },
+    toLocationId: { type: mongoose.Schema.Types.ObjectId, ref: "Location", required: true },
+    items: { type: [transferItemSchema], validate: (v) => v.length > 0 },
+    status: { type: String, enum: ["in_transit", "received", "cancelled"], default: "in_transit", index: true },
+    dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    dispatchedAt: { type: Date, default: Date.now },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    receivedAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+    remarks: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("StockTransfer", stockTransferSchema);
@@ -0,0 +1,17 @@
+// models/Supplier.js
+const mongoose = require("mongoose");
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: ["wholesaler", "karigar"], required: true },
+    phone: { type: String, trim: true },
+    address: { type: String, trim: true },
+    gstin: { type: String, trim: true, uppercase: true },
+    wastageAllowancePercent: { type: Number, default: 0, min: 0, max: 100 }, // agreed job-work loss
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Supplier", supplierSchema);
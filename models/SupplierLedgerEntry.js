@@ -0,0 +1,21 @@
+// models/SupplierLedgerEntry.js
+const mongoose = require("mongoose");
+const Product = require("./Product");
+
+// Metal given out to a karigar ("issue") vs finished weight received back ("receipt")
+const supplierLedgerEntrySchema = new mongoose.Schema(
+  {
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier", required: true, index: true },
+    type: { type: String, enum: ["issue", "receipt"], required: true },
+    date: { type: Date, default: Date.now },
+    metalType: { type: String, enum: Object.keys(Product.PURITIES), required: true },
+    purity: { type: String, required: true },
+    weight: { type: Number, required: true, min: 0 }, // grams
+    purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "PurchaseOrder" },
+    remarks: { type: String, default: "" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SupplierLedgerEntry", supplierLedgerEntrySchema);
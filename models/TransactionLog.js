@@ -6,14 +6,32 @@ const transactionSchema = new mongoose.Schema(
     productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
     productName: { type: String, required: true },
     sku: { type: String, required: true },
-    date: { type: Date, default: Date.now }, // stored in UTC, compared in IST
+    date: { type: Date, default: Date.now }, // stored in UTC, grouped by business day (utils/businessDate)
     openingQty: { type: Number, required: true },
     addedQty: { type: Number, default: 0 },
     soldQty: { type: Number, default: 0 },
     closingQty: { type: Number, required: true },
     remarks: { type: String, default: "" },
+    locked: { type: Boolean, default: false }, // set by day close; locked rows never change
   },
   { timestamps: true }
 );
 
+// ✅ Rows of a closed day are frozen
+transactionSchema.pre("save", function (next) {
+  if (!this.isNew && this.locked && !this.isModified("locked")) {
+    return next(new Error("This day is closed; its transaction log cannot be changed"));
+  }
+  next();
+});
+
+// ✅ Query updates and deletes skip locked rows; only day close / reopen pass { includeLocked: true }
+function excludeLocked() {
+  if (!this.getOptions().includeLocked) this.where({ locked: { $ne: true } });
+}
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+  "deleteOne", "deleteMany", "findOneAndDelete"].forEach((op) => {
+  transactionSchema.pre(op, { document: false, query: true }, excludeLocked);
+});
+
 module.exports = mongoose.model("TransactionLog", transactionSchema);
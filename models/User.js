@@ -8,17 +8,47 @@ const userSchema = new mongoose.Schema(
     password: { type: String, required: true },
     role: {
       type: String,
-      enum: ["admin", "staff"],
       default: "staff",
-    },
+      trim: true,
+      lowercase: true,
+    }, // name of a Role document
+    isActive: { type: Boolean, default: true }, // disabled users cannot log in
+    locations: [{ type: mongoose.Schema.Types.ObjectId, ref: "Location" }], // empty = every location
+    passwordChangedAt: { type: Date },
+    tokenVersion: { type: Number, default: 0 }, // bumped to revoke every issued token
+
+    // Optional TOTP second factor (admin accounts)
+    totpEnabled: { type: Boolean, default: false },
+    totpSecret: { type: String },
+    totpPendingSecret: { type: String }, // set during setup until the first code is confirmed
+    totpLastStep: { type: Number }, // last accepted time step, blocks code replay
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.totpSecret;
+        delete ret.totpPendingSecret;
+        return ret;
+      },
+    },
+  }
 );
 
+// ✅ Password, role or status changes revoke existing sessions immediately
+userSchema.pre("save", function (next) {
+  if (!this.isNew && (this.isModified("password") || this.isModified("role") || this.isModified("isActive"))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
 // ✅ Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) this.passwordChangedAt = new Date();
   next();
 });
 
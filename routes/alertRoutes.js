@@ -0,0 +1,136 @@
+// routes/alertRoutes.js
+const express = require("express");
+const router = express.Router();
+const StockAlert = require("../models/StockAlert");
+const Notification = require("../models/Notification");
+const auth = require("../middleware/auth");
+const { buildReorderDigest, queueDailyDigest } = require("../utils/stockAlerts");
+const { enqueue, claim, deliver, processOutbox } = require("../utils/notify");
+const { snapshot } = require("../utils/diff");
+
+// ✅ List alerts (?status=open|acknowledged|snoozed|resolved; default: every unresolved alert)
+router.get("/", auth(["alert.view"]), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : { active: true };
+    const alerts = await StockAlert.find(filter).sort({ createdAt: -1 }).limit(500);
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Items that need reordering today (same content as the daily digest)
+router.get("/digest", auth(["alert.view"]), async (req, res) => {
+  try {
+    res.json(await buildReorderDigest());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Queue today's digest now (no-op if it was already queued today)
+router.post("/digest/send", auth(["notification.manage"]), async (req, res) => {
+  try {
+    const { dateKey, items, queued } = await queueDailyDigest();
+    res.json({ message: queued ? "Digest queued" : "Nothing new to queue", dateKey, items: items.length, queued });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Acknowledge an alert (stays listed until stock is back above the reorder level)
+router.post("/:id/ack", auth(["alert.manage"]), async (req, res) => {
+  try {
+    const alert = await StockAlert.findOne({ _id: req.params.id, active: true });
+    if (!alert) return res.status(404).json({ error: "Active alert not found" });
+
+    req.audit.before = snapshot(alert);
+    alert.set({ status: "acknowledged", acknowledgedBy: req.user.id, acknowledgedAt: new Date(), snoozedUntil: undefined });
+    await alert.save();
+    req.audit.after = alert;
+    res.json({ message: "Alert acknowledged", alert });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Snooze an alert. Body: { hours } or { until: ISO date }
+router.post("/:id/snooze", auth(["alert.manage"]), async (req, res) => {
+  try {
+    const until = req.body.until
+      ? new Date(req.body.until)
+      : new Date(Date.now() + (Number(req.body.hours) || 24) * 60 * 60 * 1000);
+    if (Number.isNaN(until.getTime()) || until <= new Date()) {
+      return res.status(400).json({ error: "Snooze must end in the future" });
+    }
+
+    const alert = await StockAlert.findOne({ _id: req.params.id, active: true });
+    if (!alert) return res.status(404).json({ error: "Active alert not found" });
+
+    req.audit.before = snapshot(alert);
+    alert.set({ status: "snoozed", snoozedBy: req.user.id, snoozedUntil: until });
+    await alert.save();
+    req.audit.after = alert;
+    res.json({ message: `Alert snoozed until ${until.toISOString()}`, alert });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Notification outbox (?status=pending|sending|sent|failed)
+router.get("/outbox", auth(["notification.manage"]), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(200);
+    res.json(notifications);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Deliver due notifications now instead of waiting for the worker
+router.post("/outbox/flush", auth(["notification.manage"]), async (req, res) => {
+  try {
+    const processed = await processOutbox({ batchSize: 100 });
+    res.json({ message: `${processed} notification(s) processed` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Retry a failed notification right away (pending ones are left to the worker)
+router.post("/outbox/:id/retry", auth(["notification.manage"]), async (req, res) => {
+  try {
+    const notification = await claim({ _id: req.params.id, status: "failed" }, { restart: true });
+    if (!notification) {
+      const existing = await Notification.findById(req.params.id).select("status");
+      if (!existing) return res.status(404).json({ error: "Notification not found" });
+      return res.status(409).json({ error: `Only failed notifications can be retried (this one is ${existing.status})` });
+    }
+
+    await deliver(notification);
+    res.json({ message: `Notification ${notification.status}`, notification });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Send a test message on each configured channel (or Body: { channels: ["webhook"] })
+router.post("/test-notification", auth(["notification.manage"]), async (req, res) => {
+  try {
+    const queued = await enqueue({
+      event: "test",
+      subject: "Test notification from the inventory system",
+      text: `Sent by ${req.user.username} at ${new Date().toISOString()}`,
+      channels: Array.isArray(req.body.channels) ? req.body.channels : undefined,
+    });
+    const claimed = await Promise.all(queued.map((n) => claim({ _id: n._id, status: "pending" })));
+    // A message the worker claimed first is left to it and reported as still pending
+    const results = await Promise.all(claimed.map((n, i) => (n ? deliver(n) : queued[i])));
+    res.json(results.map((n) => ({ channel: n.channel, status: n.status, error: n.lastError || null })));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+// routes/analyticsRoutes.js
+// Aggregations for the dashboard. Every endpoint takes the export range vocabulary: ?type=&start=&end=
+// and ?locationId=a,b for the stock and sales of those locations (users scoped to locations always get theirs).
+// Consolidated figures come from the daily TransactionLog; per-location ones from the movement ledger,
+// where transfers in and out of a location count as added / sold.
+const express = require("express");
+const router = express.Router();
+const Product = require("../models/Product");
+const TransactionLog = require("../models/TransactionLog");
+const StockMovement = require("../models/StockMovement");
+const Invoice = require("../models/Invoice");
+const auth = require("../middleware/auth");
+const { resolveDateRange, rangeMatch } = require("../utils/dateRange");
+const { errorStatus } = require("../utils/httpError");
+const { businessDateExpr } = require("../utils/businessDate");
+const { readLocationIds, quantitiesAt } = require("../utils/locations");
+const { balancesAt, locationMovementMatch } = require("../utils/dayClose");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ✅ Helper: `$match` for ledger entries / invoices booked at the given locations (null = everywhere)
+async function locationMatch(locationIds) {
+  return locationIds ? locationMovementMatch(locationIds) : {};
+}
+
+// ✅ Helper: active products with their stock at the given locations (consolidated stock when null)
+async function productsAt(locationIds, select) {
+  const [products, located] = await Promise.all([
+    Product.find({ isActive: true }).select(select).sort({ sku: 1 }).lean(),
+    locationIds ? quantitiesAt(locationIds) : null,
+  ]);
+  if (!located) return products;
+  return products.map((p) => ({ ...p, quantity: located.get(p._id.toString()) || 0 }));
+}
+
+// ✅ Helper: sold / added quantity per product within a range (from the daily TransactionLog)
+async function quantitiesByProduct(range, locationIds) {
+  if (locationIds) return locationQuantitiesByProduct(range, locationIds);
+  const rows = await TransactionLog.aggregate([
+    { $match: rangeMatch("date", range) },
+    { $sort: { date: 1 } },
+    {
+      $group: {
+        _id: "$productId",
+        soldQty: { $sum: "$soldQty" },
+        addedQty: { $sum: "$addedQty" },
+        openingQty: { $first: "$openingQty" },
+        closingQty: { $last: "$closingQty" },
+        firstDate: { $first: "$date" },
+        lastSaleDate: { $max: { $cond: [{ $gt: ["$soldQty", 0] }, "$date", null] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r]));
+}
+
+// ✅ Helper: the same per-location, from the ledger (opening / closing are the balances there at the range ends)
+async function locationQuantitiesByProduct(range, locationIds) {
+  const [rows, openings, closings] = await Promise.all([
+    StockMovement.aggregate([
+      { $match: { $and: [rangeMatch("date", range), await locationMatch(locationIds)] } },
+      {
+        $group: {
+          _id: "$productId",
+          soldQty: { $sum: { $cond: [{ $lt: ["$quantity", 0] }, { $abs: "$quantity" }, 0] } },
+          addedQty: { $sum: { $cond: [{ $gt: ["$quantity", 0] }, "$quantity", 0] } },
+          firstDate: { $min: "$date" },
+          lastSaleDate: { $max: { $cond: [{ $lt: ["$quantity", 0] }, "$date", null] } },
+        },
+      },
+    ]),
+    range.startDate ? balancesAt(new Date(range.startDate.getTime() - 1), { locationIds }) : new Map(),
+    balancesAt(range.endDate || new Date(), { locationIds }),
+  ]);
+  return new Map(rows.map((r) => {
+    const id = r._id.toString();
+    const closingQty = closings.get(id) || 0;
+    const openingQty = openings.get(id) ?? closingQty - r.addedQty + r.soldQty;
+    return [id, { ...r, openingQty, closingQty }];
+  }));
+}
+
+// ✅ Helper: invoiced value per product within a range
+async function salesValueByProduct(range, locationIds) {
+  const rows = await Invoice.aggregate([
+    { $match: { $and: [rangeMatch("date", range), await locationMatch(locationIds)] } },
+    { $unwind: "$items" },
+    { $group: { _id: "$items.productId", salesValue: { $sum: "$items.taxableValue" } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r.salesValue]));
+}
+
+// ✅ Helper: number of days a range covers (open ranges start at the first logged transaction)
+async function rangeDays({ startDate, endDate }) {
+  let start = startDate;
+  if (!start) {
+    const first = await TransactionLog.findOne().sort({ date: 1 }).select("date");
+    start = first?.date || new Date();
+  }
+  return Math.max(((endDate || new Date()) - start) / DAY_MS, 1);
+}
+
+// ✅ Sold quantity and value per day / week / month (?groupBy=day|week|month, default day)
+// Quantities come from the TransactionLog, values from invoices (taxable value, before GST).
+router.get("/sales", auth(["report.view"]), async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const groupBy = req.query.groupBy || "day";
+    const format = PERIOD_FORMATS[groupBy];
+    if (!format) return res.status(400).json({ error: "groupBy must be day, week or month" });
+    const period = (field) => ({ $dateToString: { format, ...businessDateExpr(field) } });
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const where = await locationMatch(locationIds);
+
+    const [quantities, values] = await Promise.all([
+      locationIds
+        ? StockMovement.aggregate([
+          { $match: { $and: [rangeMatch("date", range), where] } },
+          {
+            $group: {
+              _id: period("$date"),
+              soldQty: { $sum: { $cond: [{ $lt: ["$quantity", 0] }, { $abs: "$quantity" }, 0] } },
+              addedQty: { $sum: { $cond: [{ $gt: ["$quantity", 0] }, "$quantity", 0] } },
+            },
+          },
+        ])
+        : TransactionLog.aggregate([
+          { $match: rangeMatch("date", range) },
+          { $group: { _id: period("$date"), soldQty: { $sum: "$soldQty" }, addedQty: { $sum: "$addedQty" } } },
+        ]),
+      Invoice.aggregate([
+        { $match: { $and: [rangeMatch("date", range), where] } },
+        {
+          $group: {
+            _id: period("$date"),
+            invoices: { $sum: 1 },
+            invoicedQty: { $sum: { $sum: "$items.quantity" } },
+            salesValue: { $sum: "$taxableValue" },
+            totalWithTax: { $sum: "$total" },
+          },
+        },
+      ]),
+    ]);
+
+    const periods = new Map();
+    const empty = (key) => ({ period: key, soldQty: 0, addedQty: 0, invoices: 0, invoicedQty: 0, salesValue: 0, totalWithTax: 0 });
+    quantities.forEach((q) => periods.set(q._id, { ...empty(q._id), soldQty: q.soldQty, addedQty: q.addedQty }));
+    values.forEach((v) => {
+      const row = periods.get(v._id) || empty(v._id);
+      Object.assign(row, {
+        invoices: v.invoices,
+        invoicedQty: v.invoicedQty,
+        salesValue: round2(v.salesValue),
+        totalWithTax: round2(v.totalWithTax),
+      });
+      periods.set(v._id, row);
+    });
+
+    const series = [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+    const totals = series.reduce(
+      (t, r) => ({
+        soldQty: t.soldQty + r.soldQty,
+        invoices: t.invoices + r.invoices,
+        salesValue: round2(t.salesValue + r.salesValue),
+      }),
+      { soldQty: 0, invoices: 0, salesValue: 0 }
+    );
+
+    res.json({ range: range.rangeLabel, locationIds, groupBy, series, totals });
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+// ✅ Best and slowest movers by quantity sold (?limit=10)
+// Slow movers are in-stock active products, including ones with no sales at all in the range.
+router.get("/movers", auth(["report.view"]), async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+
+    const [products, quantities, values] = await Promise.all([
+      productsAt(locationIds, "sku name quantity metalType purity"),
+      quantitiesByProduct(range, locationIds),
+      salesValueByProduct(range, locationIds),
+    ]);
+
+    const rows = products.map((p) => {
+      const id = p._id.toString();
+      return {
+        productId: p._id,
+        sku: p.sku,
+        name: p.name,
+        metalType: p.metalType,
+        purity: p.purity,
+        quantity: p.quantity,
+        soldQty: quantities.get(id)?.soldQty || 0,
+        salesValue: round2(values.get(id) || 0),
+      };
+    });
+
+    const best = rows
+      .filter((r) => r.soldQty > 0)
+      .sort((a, b) => b.soldQty - a.soldQty || b.salesValue - a.salesValue)
+      .slice(0, limit);
+    const slowest = rows
+      .filter((r) => r.quantity > 0)
+      .sort((a, b) => a.soldQty - b.soldQty || b.quantity - a.quantity)
+      .slice(0, limit);
+
+    res.json({ range: range.rangeLabel, locationIds, best, slowest });
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+// ✅ Stock turnover and days of cover per SKU
+// turnover = sold ÷ average stock (mean of opening and closing over the range);
+// daysOfCover = current stock ÷ average daily sales (null when nothing sold).
+router.get("/turnover", auth(["report.view"]), async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const [products, quantities, days] = await Promise.all([
+      productsAt(locationIds, "sku name quantity"),
+      quantitiesByProduct(range, locationIds),
+      rangeDays(range),
+    ]);
+
+    const rows = products.map((p) => {
+      const q = quantities.get(p._id.toString());
+      const soldQty = q?.soldQty || 0;
+      const openingQty = q ? q.openingQty : p.quantity;
+      const closingQty = q ? q.closingQty : p.quantity;
+      const averageStock = (openingQty + closingQty) / 2;
+      const dailySales = soldQty / days;
+
+      return {
+        productId: p._id,
+        sku: p.sku,
+        name: p.name,
+        quantity: p.quantity,
+        soldQty,
+        averageStock: round2(averageStock),
+        turnover: averageStock > 0 ? round2(soldQty / averageStock) : null,
+        dailySales: round2(dailySales),
+        daysOfCover: dailySales > 0 ? Math.round(p.quantity / dailySales) : null,
+      };
+    });
+
+    res.json({ range: range.rangeLabel, locationIds, days: Math.round(days), items: rows });
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+// ✅ Ageing of in-stock items by days since their last sale (?buckets=90,180,365)
+// Measured at the end of the range (now by default); never-sold items age from when they were added.
+router.get("/ageing", auth(["report.view"]), async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    const asOf = range.endDate || new Date();
+    const buckets = String(req.query.buckets || "90,180,365")
+      .split(",")
+      .map(Number)
+      .filter((n) => Number.isInteger(n) && n > 0)
+      .sort((a, b) => a - b);
+    if (!buckets.length) return res.status(400).json({ error: "buckets must be a list of day counts, e.g. 90,180,365" });
+
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const [stocked, lastSales] = await Promise.all([
+      productsAt(locationIds, "sku name quantity grossWeight netWeight metalType purity createdAt date"),
+      locationIds
+        ? StockMovement.aggregate([
+          { $match: { $and: [{ quantity: { $lt: 0 }, date: { $lte: asOf } }, await locationMatch(locationIds)] } },
+          { $group: { _id: "$productId", lastSaleDate: { $max: "$date" } } },
+        ])
+        : TransactionLog.aggregate([
+          { $match: { soldQty: { $gt: 0 }, date: { $lte: asOf } } },
+          { $group: { _id: "$productId", lastSaleDate: { $max: "$date" } } },
+        ]),
+    ]);
+    const products = stocked.filter((p) => p.quantity > 0);
+    const lastSaleByProduct = new Map(lastSales.map((s) => [s._id.toString(), s.lastSaleDate]));
+
+    const labelFor = (age) => {
+      const over = buckets.filter((b) => age >= b).pop();
+      return over ? `${over}+ days` : `Under ${buckets[0]} days`;
+    };
+
+    const items = products.map((p) => {
+      const lastSaleDate = lastSaleByProduct.get(p._id.toString()) || null;
+      const since = lastSaleDate || p.createdAt || p.date;
+      const ageDays = Math.max(Math.floor((asOf - new Date(since)) / DAY_MS), 0);
+      return {
+        productId: p._id,
+        sku: p.sku,
+        name: p.name,
+        quantity: p.quantity,
+        netWeight: round2((p.netWeight || 0) * p.quantity),
+        lastSaleDate,
+        ageDays,
+        bucket: labelFor(ageDays),
+      };
+    }).sort((a, b) => b.ageDays - a.ageDays);
+
+    const summary = [`Under ${buckets[0]} days`, ...buckets.map((b) => `${b}+ days`)].map((bucket) => {
+      const inBucket = items.filter((i) => i.bucket === bucket);
+      return {
+        bucket,
+        items: inBucket.length,
+        quantity: inBucket.reduce((sum, i) => sum + i.quantity, 0),
+        netWeight: round2(inBucket.reduce((sum, i) => sum + i.netWeight, 0)),
+      };
+    });
+
+    res.json({ asOf, locationIds, summary, items });
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+module.exports = router;
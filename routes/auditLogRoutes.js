@@ -0,0 +1,117 @@
+// routes/auditLogRoutes.js
+const express = require("express");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog");
+const DeletedProduct = require("../models/DeletedProduct");
+const auth = require("../middleware/auth");
+const { sendXlsx, sendPdf } = require("../utils/exporters");
+const { formatDateTime } = require("../utils/businessDate");
+
+// ✅ Helper: build a query from ?username=&userId=&method=&targetType=&targetId=&success=&from=&to=
+function buildFilter(query) {
+  const { username, userId, method, targetType, targetId, success, from, to } = query;
+  const filter = {};
+  if (username) filter.username = username;
+  if (userId) filter.userId = userId;
+  if (method) filter.method = method.toUpperCase();
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (success !== undefined) filter.success = success === "true";
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = new Date(from);
+    if (to) filter.date.$lte = new Date(to);
+  }
+  return filter;
+}
+
+// ✅ Query the audit trail (?page=&limit= plus the filters above)
+router.get("/", auth(["auditLog.view"]), async (req, res) => {
+  try {
+    const filter = buildFilter(req.query);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ date: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.json({ entries, total, page, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Export the filtered trail (?format=xlsx|pdf, default xlsx; capped at 5000 rows)
+router.get("/export", auth(["auditLog.view", "report.export"]), async (req, res) => {
+  try {
+    const entries = await AuditLog.find(buildFilter(req.query)).sort({ date: -1 }).limit(5000).lean();
+    const rows = entries.map((e) => ({
+      Date: formatDateTime(e.date),
+      User: e.username || "",
+      Role: e.role || "",
+      Method: e.method,
+      Path: e.path,
+      Status: e.statusCode,
+      Target: [e.targetType, e.targetId].filter(Boolean).join(" "),
+      IP: e.ip || "",
+      Changes: (e.changes || [])
+        .map((c) => `${c.field}: ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`)
+        .join("; "),
+      Note: e.note || "",
+    }));
+
+    if (req.query.format === "pdf") {
+      const head = ["Date", "User", "Role", "Method", "Path", "Status", "Target", "IP", "Changes", "Note"];
+      return sendPdf(res, {
+        title: "Audit Trail",
+        subtitle: `${rows.length} entries`,
+        head,
+        body: rows.map((r) => head.map((h) => String(r[h] ?? ""))),
+        filename: "Audit_Trail",
+      });
+    }
+    sendXlsx(res, { rows, sheetName: "Audit Trail", filename: "Audit_Trail" });
+  } catch (err) {
+    console.error("Audit export failed:", err);
+    res.status(500).json({ error: "Failed to export audit trail" });
+  }
+});
+
+// ✅ Hard-deleted products (tombstones), newest first
+router.get("/deleted-products", auth(["auditLog.view"]), async (req, res) => {
+  try {
+    const tombstones = await DeletedProduct.find()
+      .select("productId sku name deletedBy reason deletedAt")
+      .populate("deletedBy", "username")
+      .sort({ deletedAt: -1 });
+    res.json(tombstones);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Full snapshot of one deleted product and its history
+router.get("/deleted-products/:id", auth(["auditLog.view"]), async (req, res) => {
+  try {
+    const tombstone = await DeletedProduct.findById(req.params.id).populate("deletedBy", "username");
+    if (!tombstone) return res.status(404).json({ error: "Deleted product not found" });
+    res.json(tombstone);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Audit entries for one record (?targetType=products)
+router.get("/target/:targetId", auth(["auditLog.view"]), async (req, res) => {
+  try {
+    const entries = await AuditLog.find(buildFilter({ ...req.query, targetId: req.params.targetId }))
+      .sort({ date: -1 })
+      .limit(500);
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
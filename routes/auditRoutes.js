@@ -0,0 +1,295 @@
+// routes/auditRoutes.js
+const express = require("express");
+const router = express.Router();
+const AuditSession = require("../models/AuditSession");
+const Product = require("../models/Product");
+const StockBalance = require("../models/StockBalance");
+const auth = require("../middleware/auth");
+const { recordMovement } = require("../utils/stock");
+const { withTransaction } = require("../utils/db");
+const { HttpError, errorStatus } = require("../utils/httpError");
+const { sendXlsx, sendPdf } = require("../utils/exporters");
+const { resolveLocation, defaultLocation, quantitiesAt, canUseLocation } = require("../utils/locations");
+
+// ✅ Helper: location an audit counts (sessions from before locations count the default location)
+async function auditLocationId(audit, { session } = {}) {
+  return audit.locationId || (await defaultLocation({ session }))._id;
+}
+
+// ✅ Helper: compare counted quantities with the stock held at the audit's location for every active product
+async function buildVariance(audit) {
+  const [products, held] = await Promise.all([
+    Product.find({ isActive: true }).sort({ sku: 1 }),
+    auditLocationId(audit).then((id) => quantitiesAt([id])),
+  ]);
+  const counts = {};
+  audit.counts.forEach((c) => (counts[c.productId.toString()] = c));
+
+  return products.map((p) => {
+    const count = counts[p._id.toString()];
+    const quantity = count?.expectedQty ?? (held.get(p._id.toString()) || 0);
+    const expectedWeight = Math.round((p.grossWeight || 0) * quantity * 1000) / 1000;
+    return {
+      productId: p._id,
+      sku: p.sku,
+      name: p.name,
+      expectedQty: quantity,
+      countedQty: count ? count.countedQty : null,
+      variance: count ? count.countedQty - quantity : null,
+      expectedWeight,
+      countedWeight: count?.countedWeight ?? null,
+      weightVariance: count?.countedWeight !== undefined && count?.countedWeight !== null
+        ? Math.round((count.countedWeight - expectedWeight) * 1000) / 1000
+        : null,
+      status: !count ? "Not counted" : count.countedQty === quantity ? "Matched" : "Variance",
+    };
+  });
+}
+
+// ✅ Open a count session (one at a time per location)
+// Body: { name, locationId?, remarks? }
+router.post("/", auth(["audit.manage"]), async (req, res) => {
+  try {
+    const location = await resolveLocation(req.user, req.body.locationId);
+    const open = await AuditSession.findOne({
+      status: "open",
+      locationId: location.isDefault ? { $in: [location._id, null] } : location._id,
+    });
+    if (open) return res.status(409).json({ error: `Audit "${open.name}" is still open` });
+
+    const audit = await AuditSession.create({
+      name: req.body.name,
+      locationId: location._id,
+      remarks: req.body.remarks || "",
+      openedBy: req.user.id,
+    });
+    res.status(201).json({ message: "Audit session opened", audit });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ List audit sessions
+router.get("/", auth(["audit.view"]), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const audits = await AuditSession.find(filter).select("-counts").sort({ createdAt: -1 });
+    res.json(audits);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Get a single audit session
+router.get("/:id", auth(["audit.view"]), async (req, res) => {
+  try {
+    const audit = await AuditSession.findById(req.params.id);
+    if (!audit) return res.status(404).json({ error: "Audit session not found" });
+    res.json(audit);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Submit counted quantities (a re-count of the same SKU replaces the earlier one)
+// Body: { counts: [{ productId | sku, countedQty, countedWeight? }] }
+// Each count keeps the stock expected at that moment, so sales after the count don't become variance.
+// Counts are written one product at a time with atomic updates, so staff can count side by side.
+router.post("/:id/counts", auth(["audit.count"]), async (req, res) => {
+  try {
+    const audit = await AuditSession.findById(req.params.id);
+    if (!audit) return res.status(404).json({ error: "Audit session not found" });
+    if (audit.status !== "open") return res.status(400).json({ error: "Audit session is not open" });
+    if (audit.locationId && !canUseLocation(req.user, audit.locationId)) {
+      return res.status(403).json({ error: "You are not assigned to this location" });
+    }
+
+    const counts = Array.isArray(req.body.counts) ? req.body.counts : [];
+    if (!counts.length) return res.status(400).json({ error: "No counts submitted" });
+    const locationId = await auditLocationId(audit);
+
+    for (const c of counts) {
+      const product = c.productId
+        ? await Product.findById(c.productId)
+        : await Product.findOne({ sku: String(c.sku || "").toUpperCase() });
+      if (!product) return res.status(404).json({ error: `Product not found: ${c.productId || c.sku}` });
+
+      const countedQty = Number(c.countedQty);
+      if (!Number.isInteger(countedQty) || countedQty < 0) {
+        return res.status(400).json({ error: `Invalid counted quantity for ${product.sku}` });
+      }
+
+      const held = await StockBalance.findOne({ productId: product._id, locationId }).select("quantity");
+      const entry = {
+        productId: product._id,
+        sku: product.sku,
+        name: product.name,
+        countedQty,
+        expectedQty: held ? held.quantity : 0,
+        countedWeight: c.countedWeight !== undefined ? Number(c.countedWeight) : undefined,
+        countedBy: req.user.id,
+        countedAt: new Date(),
+      };
+
+      // Replace an earlier count of this product, else append; a concurrent append is caught by the retry
+      let saved = false;
+      for (let attempt = 0; attempt < 2 && !saved; attempt++) {
+        const replaced = await AuditSession.updateOne(
+          { _id: audit._id, status: "open", "counts.productId": product._id },
+          { $set: { "counts.$": entry } }
+        );
+        const added = replaced.matchedCount ? null : await AuditSession.updateOne(
+          { _id: audit._id, status: "open", "counts.productId": { $ne: product._id } },
+          { $push: { counts: entry } }
+        );
+        saved = Boolean(replaced.matchedCount || added.matchedCount);
+      }
+      if (!saved) return res.status(409).json({ error: "Audit session was closed while counting" });
+    }
+
+    const updated = await AuditSession.findById(audit._id).select("counts.productId");
+    res.json({ message: "Counts recorded", counted: updated.counts.length });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Variance report (?format=json|xlsx|pdf)
+router.get("/:id/variance", auth(["audit.view"]), async (req, res) => {
+  try {
+    const audit = await AuditSession.findById(req.params.id);
+    if (!audit) return res.status(404).json({ error: "Audit session not found" });
+
+    const rows = await buildVariance(audit);
+    const { format = "json" } = req.query;
+    const filename = `audit_variance_${audit._id}_${Date.now()}`;
+
+    if (format === "xlsx") {
+      return sendXlsx(res, {
+        rows: rows.map((r) => ({
+          SKU: r.sku || "",
+          Name: r.name || "",
+          Expected: r.expectedQty,
+          Counted: r.countedQty ?? "",
+          Variance: r.variance ?? "",
+          "Expected Wt (g)": r.expectedWeight,
+          "Counted Wt (g)": r.countedWeight ?? "",
+          "Wt Variance (g)": r.weightVariance ?? "",
+          Status: r.status,
+        })),
+        sheetName: `Audit - ${audit.name}`,
+        filename,
+      });
+    }
+
+    if (format === "pdf") {
+      return sendPdf(res, {
+        title: "Stock Audit Variance Report",
+        subtitle: `${audit.name} (${audit.status})`,
+        head: ["SKU", "Name", "Expected", "Counted", "Variance", "Exp. Wt", "Counted Wt", "Wt Var.", "Status"],
+        body: rows.map((r) => [
+          r.sku || "",
+          r.name || "",
+          r.expectedQty,
+          r.countedQty ?? "",
+          r.variance ?? "",
+          r.expectedWeight,
+          r.countedWeight ?? "",
+          r.weightVariance ?? "",
+          r.status,
+        ]),
+        filename,
+      });
+    }
+
+    const summary = {
+      products: rows.length,
+      counted: rows.filter((r) => r.countedQty !== null).length,
+      withVariance: rows.filter((r) => r.variance).length,
+      netVariance: rows.reduce((sum, r) => sum + (r.variance || 0), 0),
+    };
+    res.json({ audit: { _id: audit._id, name: audit.name, status: audit.status }, summary, rows });
+  } catch (err) {
+    console.error("❌ Audit variance error:", err);
+    res.status(500).json({ error: "Failed to build variance report" });
+  }
+});
+
+// ✅ Approve: post correcting adjustments for counted items that differ
+// Body: { productIds? } — limit the adjustment to some SKUs; defaults to every counted variance
+// The variance is counted − expected at count time, applied to today's stock (later sales stay booked).
+router.post("/:id/approve", auth(["audit.manage"]), async (req, res) => {
+  try {
+    let audit;
+    await withTransaction(async (session) => {
+      audit = await AuditSession.findById(req.params.id).session(session);
+      if (!audit) throw new HttpError(404, "Audit session not found");
+      if (audit.status !== "open") throw new HttpError(400, "Audit session is not open");
+
+      const only = Array.isArray(req.body.productIds) ? req.body.productIds.map(String) : null;
+      const locationId = await auditLocationId(audit, { session });
+      audit.adjustments = [];
+
+      for (const count of audit.counts) {
+        if (only && !only.includes(count.productId.toString())) continue;
+
+        const product = await Product.findById(count.productId).session(session);
+        if (!product) continue;
+        let expectedQty = count.expectedQty;
+        if (expectedQty === undefined || expectedQty === null) {
+          const held = await StockBalance.findOne({ productId: product._id, locationId }).session(session);
+          expectedQty = held ? held.quantity : 0;
+        }
+        const variance = count.countedQty - expectedQty;
+        if (!variance) continue;
+
+        const movement = await recordMovement(
+          product,
+          {
+            type: "adjustment",
+            quantity: variance,
+            userId: req.user.id,
+            reason: `Audit "${audit.name}" adjustment`,
+            reference: `AUDIT-${audit._id}`,
+            locationId,
+          },
+          { session }
+        );
+        audit.adjustments.push({
+          productId: product._id,
+          sku: product.sku,
+          expectedQty,
+          countedQty: count.countedQty,
+          variance,
+          movementId: movement._id,
+        });
+      }
+
+      audit.status = "approved";
+      audit.approvedBy = req.user.id;
+      audit.approvedAt = new Date();
+      await audit.save({ session });
+    });
+
+    res.json({ message: "Audit approved and adjustments posted", audit });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Cancel an open session without adjusting stock
+router.post("/:id/cancel", auth(["audit.manage"]), async (req, res) => {
+  try {
+    const audit = await AuditSession.findById(req.params.id);
+    if (!audit) return res.status(404).json({ error: "Audit session not found" });
+    if (audit.status !== "open") return res.status(400).json({ error: "Audit session is not open" });
+
+    audit.status = "cancelled";
+    await audit.save();
+    res.json({ message: "Audit session cancelled", audit });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,279 @@
 // routes/authRoutes.js
 const express = require("express");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const LoginAttempt = require("../models/LoginAttempt");
+const auth = require("../middleware/auth");
+const { passwordProblem } = require("../utils/password");
+const { hashToken, issueSession } = require("../utils/tokens");
+const { throttleKeys, retryAfterSeconds, recordFailure, clearFailures } = require("../utils/loginThrottle");
+const { generateSecret, verifyCode, otpauthUri } = require("../utils/totp");
+
+// ✅ Helper: record a login attempt for the admin review log
+function logAttempt(req, username, success, reason) {
+  return LoginAttempt.create({
+    username,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    success,
+    reason,
+  }).catch((err) => console.error("❌ Failed to record login attempt:", err));
+}
 
 router.post("/login", async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, otp } = req.body;
+    const keys = throttleKeys(username, req.ip);
+
+    // 🛑 Backoff / temporary lockout after repeated failures (per username and per IP)
+    const wait = await retryAfterSeconds(keys);
+    if (wait > 0) {
+      await logAttempt(req, username, false, "throttled");
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({ error: `Too many failed attempts. Try again in ${wait} seconds.`, retryAfter: wait });
+    }
 
     // ✅ Find the user
     const user = await User.findOne({ username });
-    if (!user) return res.status(401).json({ error: "Invalid credentials" });
+    if (!user) {
+      await recordFailure(keys);
+      await logAttempt(req, username, false, "unknown_user");
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
 
     // ✅ Compare password using model helper
     const valid = await user.comparePassword(password);
-    if (!valid) return res.status(401).json({ error: "Invalid credentials" });
+    if (!valid) {
+      await recordFailure(keys);
+      await logAttempt(req, username, false, "bad_password");
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
 
-    // ✅ Generate JWT (expires in 1 day — adjust if you prefer 8h)
-    const token = jwt.sign(
-      { id: user._id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "8h" } // or "1d" if you want 24 hours
-    );
+    // ✅ Disabled accounts cannot log in
+    if (!user.isActive) {
+      await logAttempt(req, username, false, "disabled");
+      return res.status(403).json({ error: "Account is disabled" });
+    }
+
+    // 🔐 Second factor when enabled
+    if (user.totpEnabled) {
+      if (!otp) {
+        await logAttempt(req, username, false, "otp_required");
+        return res.status(401).json({ error: "One-time code required", otpRequired: true });
+      }
+      const step = verifyCode(user.totpSecret, otp);
+      if (step === null || (user.totpLastStep !== undefined && step <= user.totpLastStep)) {
+        await recordFailure(keys);
+        await logAttempt(req, username, false, "bad_otp");
+        return res.status(401).json({ error: "Invalid one-time code", otpRequired: true });
+      }
+      await User.updateOne({ _id: user._id }, { $set: { totpLastStep: step } });
+    }
+
+    await clearFailures([keys[0]]);
+    await logAttempt(req, username, true, "ok");
 
-    // ✅ Send token & role to frontend
-    res.json({ token, role: user.role });
+    // ✅ Short-lived access token + rotating refresh token
+    const { accessToken, refreshToken, expiresIn } = await issueSession(user, req);
+
+    // ✅ Send tokens & role to frontend (`token` kept for existing clients)
+    res.json({ token: accessToken, accessToken, refreshToken, expiresIn, role: user.role });
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ error: "Server error during login" });
   }
 });
 
+// ✅ Exchange a refresh token for a new pair (the old refresh token is rotated out)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken is required" });
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored) return res.status(401).json({ error: "Invalid refresh token" });
+
+    // 🚨 A rotated-out token being replayed means it leaked: revoke the whole family
+    if (stored.revokedAt) {
+      await RefreshToken.updateMany(
+        { familyId: stored.familyId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+      );
+      return res.status(401).json({ error: "Refresh token reuse detected, please log in again" });
+    }
+    if (stored.expiresAt < new Date()) return res.status(401).json({ error: "Refresh token expired" });
+
+    const user = await User.findById(stored.userId);
+    if (!user || !user.isActive || (user.tokenVersion || 0) !== stored.tokenVersion) {
+      return res.status(401).json({ error: "Session has been revoked" });
+    }
+
+    // Claim the token atomically so two parallel refreshes can't both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!claimed) return res.status(401).json({ error: "Refresh token already used" });
+
+    const { accessToken, refreshToken: nextToken, refreshDoc, expiresIn } = await issueSession(
+      user,
+      req,
+      { familyId: stored.familyId }
+    );
+    await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: refreshDoc._id } });
+
+    res.json({ token: accessToken, accessToken, refreshToken: nextToken, expiresIn, role: user.role });
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ error: "Server error during token refresh" });
+  }
+});
+
+// ✅ Logout this device: revoke the presented refresh token
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+      if (stored) {
+        await RefreshToken.updateMany(
+          { familyId: stored.familyId, revokedAt: { $exists: false } },
+          { $set: { revokedAt: new Date() } }
+        );
+      }
+    }
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// ✅ Logout all devices: bump tokenVersion and revoke every refresh token
+router.post("/logout-all", auth(), async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+    await RefreshToken.updateMany(
+      { userId: req.user.id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    res.json({ message: "Logged out from all devices" });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// ✅ Change own password (other sessions are revoked; this device gets a fresh pair)
+router.post("/change-password", auth(), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id);
+    if (!user || !user.isActive) return res.status(401).json({ error: "Unauthorized" });
+
+    const valid = await user.comparePassword(currentPassword || "");
+    if (!valid) return res.status(400).json({ error: "Current password is incorrect" });
+
+    const weak = passwordProblem(newPassword, user.username);
+    if (weak) return res.status(400).json({ error: weak });
+
+    user.password = newPassword;
+    await user.save();
+
+    const { accessToken, refreshToken, expiresIn } = await issueSession(user, req);
+    res.json({
+      message: "Password changed successfully",
+      token: accessToken,
+      accessToken,
+      refreshToken,
+      expiresIn,
+    });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Server error while changing password" });
+  }
+});
+
+// ✅ Start TOTP setup (admin accounts): returns a secret to add to an authenticator app
+router.post("/totp/setup", auth(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.role !== "admin") return res.status(403).json({ error: "Two-factor login is for admin accounts" });
+    if (user.totpEnabled) return res.status(400).json({ error: "Two-factor login is already enabled" });
+
+    user.totpPendingSecret = generateSecret();
+    await user.save();
+    res.json({ secret: user.totpPendingSecret, otpauthUri: otpauthUri(user.totpPendingSecret, user.username) });
+  } catch (err) {
+    console.error("TOTP setup error:", err);
+    res.status(500).json({ error: "Server error during two-factor setup" });
+  }
+});
+
+// ✅ Confirm setup with a first code
+router.post("/totp/enable", auth(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.totpPendingSecret) return res.status(400).json({ error: "Start two-factor setup first" });
+
+    const step = verifyCode(user.totpPendingSecret, req.body.code);
+    if (step === null) return res.status(400).json({ error: "Invalid one-time code" });
+
+    user.totpSecret = user.totpPendingSecret;
+    user.totpPendingSecret = undefined;
+    user.totpEnabled = true;
+    user.totpLastStep = step;
+    await user.save();
+    res.json({ message: "Two-factor login enabled" });
+  } catch (err) {
+    console.error("TOTP enable error:", err);
+    res.status(500).json({ error: "Server error while enabling two-factor login" });
+  }
+});
+
+// ✅ Turn off TOTP (needs the password and a current code)
+router.post("/totp/disable", auth(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.totpEnabled) return res.status(400).json({ error: "Two-factor login is not enabled" });
+
+    const valid = await user.comparePassword(req.body.password || "");
+    if (!valid || verifyCode(user.totpSecret, req.body.code) === null) {
+      return res.status(400).json({ error: "Password or one-time code is incorrect" });
+    }
+
+    user.totpEnabled = false;
+    user.totpSecret = undefined;
+    user.totpLastStep = undefined;
+    await user.save();
+    res.json({ message: "Two-factor login disabled" });
+  } catch (err) {
+    console.error("TOTP disable error:", err);
+    res.status(500).json({ error: "Server error while disabling two-factor login" });
+  }
+});
+
+// ✅ Login attempt history for admins (?username=&ip=&success=&from=&to=&limit=)
+router.get("/login-events", auth(["user.manage"]), async (req, res) => {
+  try {
+    const { username, ip, success, from, to } = req.query;
+    const filter = {};
+    if (username) filter.username = username;
+    if (ip) filter.ip = ip;
+    if (success !== undefined) filter.success = success === "true";
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+    const events = await LoginAttempt.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(events);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,68 @@
+// routes/catalogueRoutes.js
+// Public, read-only catalogue: no SKUs, quantities, weights, costs or HUIDs are exposed
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Product = require("../models/Product");
+const rateLimit = require("../middleware/rateLimit");
+const { categoryIndex, resolveCategoryFilter } = require("../utils/categories");
+const { errorStatus } = require("../utils/httpError");
+
+const PUBLIC_FIELDS = "name photoUrl categoryId metalType purity";
+
+router.use(rateLimit({ windowMs: 60 * 1000, max: Number(process.env.CATALOGUE_RATE_LIMIT) || 60 }));
+
+// ✅ Helper: only the chosen public fields (category as its path, e.g. "Rings > Engagement")
+function toPublic(p, categories) {
+  return {
+    id: p._id,
+    name: p.name,
+    photoUrl: p.photoUrl || null,
+    category: categories.pathOf(p.categoryId) || null,
+    metalType: p.metalType || null,
+    purity: p.purity || null,
+  };
+}
+
+// ✅ Browse the catalogue (?q=, ?metalType=, ?category= code or id incl. sub-categories, ?page=, ?limit=)
+router.get("/", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100);
+
+    const filter = { isActive: true };
+    if (req.query.metalType) filter.metalType = String(req.query.metalType).toLowerCase();
+    if (req.query.q) {
+      const escaped = String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.name = new RegExp(escaped, "i");
+    }
+    if (req.query.category) filter.categoryId = { $in: await resolveCategoryFilter(req.query.category) };
+
+    const [items, total, categories] = await Promise.all([
+      Product.find(filter).select(PUBLIC_FIELDS).sort({ name: 1 }).skip((page - 1) * limit).limit(limit),
+      Product.countDocuments(filter),
+      categoryIndex(),
+    ]);
+
+    res.json({ items: items.map((p) => toPublic(p, categories)), page, limit, total });
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.status ? err.message : "Failed to load catalogue" });
+  }
+});
+
+// ✅ A single catalogue item by its id
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const [product, categories] = await Promise.all([
+      Product.findOne({ _id: req.params.id, isActive: true }).select(PUBLIC_FIELDS),
+      categoryIndex(),
+    ]);
+    if (!product) return res.status(404).json({ error: "Item not found" });
+    res.json(toPublic(product, categories));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load catalogue item" });
+  }
+});
+
+module.exports = router;
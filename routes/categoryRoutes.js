@@ -0,0 +1,160 @@
+// routes/categoryRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const auth = require("../middleware/auth");
+const { withTransaction } = require("../utils/db");
+const { HttpError, errorStatus } = require("../utils/httpError");
+const { categoryIndex } = require("../utils/categories");
+const { snapshot } = require("../utils/diff");
+
+const EDITABLE_FIELDS = ["name", "code", "lowQuantity", "isActive"];
+
+function pickCategoryFields(body = {}) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) fields[f] = body[f];
+  });
+  return fields;
+}
+
+// ✅ Helper: ancestors for a category placed under `parentId` (null = top level)
+async function ancestorsUnder(parentId, { session } = {}) {
+  if (!parentId) return [];
+  if (!mongoose.isValidObjectId(parentId)) throw new HttpError(400, "Invalid parentId");
+  const parent = await Category.findById(parentId).session(session || null);
+  if (!parent) throw new HttpError(404, "Parent category not found");
+  return [...parent.ancestors, parent._id];
+}
+
+// ✅ List categories with their full path and product counts (?tree=true nests children, ?active=false adds retired ones)
+router.get("/", auth(["product.view"]), async (req, res) => {
+  try {
+    const [index, counts] = await Promise.all([
+      categoryIndex(),
+      Product.aggregate([
+        { $match: { isActive: true, categoryId: { $ne: null } } },
+        { $group: { _id: "$categoryId", products: { $sum: 1 } } },
+      ]),
+    ]);
+    const countById = new Map(counts.map((c) => [c._id.toString(), c.products]));
+    const categories = [...index.byId.values()]
+      .filter((c) => req.query.active === "false" || c.isActive)
+      .map((c) => ({
+        ...c,
+        path: index.pathOf(c._id),
+        effectiveLowQuantity: index.thresholdOf(c._id),
+        products: countById.get(c._id.toString()) || 0,
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+    if (req.query.tree !== "true") return res.json(categories);
+
+    const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+    const roots = [];
+    nodes.forEach((node) => {
+      const parent = node.parentId && nodes.get(node.parentId.toString());
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    });
+    res.json(roots);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Tags / collections in use, with product counts
+router.get("/tags", auth(["product.view"]), async (req, res) => {
+  try {
+    const tags = await Product.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", products: { $sum: 1 } } },
+      { $project: { _id: 0, tag: "$_id", products: 1 } },
+      { $sort: { tag: 1 } },
+    ]);
+    res.json(tags);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Create a category
+// Body: { name, code, parentId?, lowQuantity? } — code feeds the {CATEGORY} SKU token
+router.post("/", auth(["category.manage"]), async (req, res) => {
+  try {
+    const category = await Category.create({
+      ...pickCategoryFields(req.body),
+      parentId: req.body.parentId || null,
+      ancestors: await ancestorsUnder(req.body.parentId),
+    });
+    req.audit.after = category;
+    res.status(201).json({ message: "Category created successfully", category });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "Category code or name already exists" });
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Update a category; moving it (parentId) carries its sub-categories along
+router.put("/:id", auth(["category.manage"]), async (req, res) => {
+  try {
+    let category;
+    await withTransaction(async (session) => {
+      category = await Category.findById(req.params.id).session(session);
+      if (!category) throw new HttpError(404, "Category not found");
+      req.audit.before = snapshot(category);
+      category.set(pickCategoryFields(req.body));
+
+      if (req.body.parentId !== undefined) {
+        const parentId = req.body.parentId || null;
+        const ancestors = await ancestorsUnder(parentId, { session });
+        if (ancestors.some((id) => id.equals(category._id))) {
+          throw new HttpError(400, "A category cannot be moved under itself or its sub-categories");
+        }
+
+        // Re-root every descendant: its ancestors after this category are kept
+        const descendants = await Category.find({ ancestors: category._id }).session(session);
+        for (const d of descendants) {
+          const below = d.ancestors.slice(d.ancestors.findIndex((id) => id.equals(category._id)));
+          d.ancestors = [...ancestors, ...below];
+          await d.save({ session });
+        }
+        category.parentId = parentId;
+        category.ancestors = ancestors;
+      }
+      await category.save({ session });
+    });
+
+    req.audit.after = category;
+    res.json({ message: "Category updated successfully", category });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "Category code or name already exists" });
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Delete a category that has no sub-categories and no products (archived ones included)
+router.delete("/:id", auth(["category.manage"]), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ error: "Category not found" });
+
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parentId: category._id }),
+      Product.countDocuments({ categoryId: category._id }),
+    ]);
+    if (children) return res.status(400).json({ error: `Category has ${children} sub-categories` });
+    if (products) return res.status(400).json({ error: `Category is used by ${products} product(s)` });
+
+    req.audit.before = snapshot(category);
+    await category.deleteOne();
+    res.json({ message: "Category deleted" });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
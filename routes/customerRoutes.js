@@ -0,0 +1,180 @@
+// routes/customerRoutes.js
+const express = require("express");
+const router = express.Router();
+const Customer = require("../models/Customer");
+const Invoice = require("../models/Invoice");
+const OldGoldExchange = require("../models/OldGoldExchange");
+const MetalRate = require("../models/MetalRate");
+const auth = require("../middleware/auth");
+const { toDateKey } = require("../utils/businessDate");
+const { snapshot } = require("../utils/diff");
+
+const EDITABLE_FIELDS = ["name", "phone", "email", "address", "stateCode", "pan", "gstin", "kyc", "notes"];
+
+function pickCustomerFields(body = {}) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) fields[f] = body[f] === "" ? undefined : body[f];
+  });
+  return fields;
+}
+
+// ✅ Create customer
+router.post("/", auth(["customer.manage"]), async (req, res) => {
+  try {
+    const customer = new Customer(pickCustomerFields(req.body));
+    if (customer.kyc?.idNumber) {
+      customer.kyc.verifiedAt = new Date();
+      customer.kyc.verifiedBy = req.user.id;
+    }
+    await customer.save();
+    res.status(201).json({ message: "Customer added successfully", customer });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "A customer with this phone already exists" });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ List / search customers by name or phone
+router.get("/", auth(["customer.view"]), async (req, res) => {
+  try {
+    const { q } = req.query;
+    const filter = {};
+    if (q) {
+      const escaped = String(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [{ name: new RegExp(escaped, "i") }, { phone: new RegExp(`^${escaped}`) }];
+    }
+    const customers = await Customer.find(filter).sort({ name: 1 }).limit(100);
+    res.json(customers);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Lookup by phone with purchase history & old-gold exchanges
+router.get("/by-phone/:phone", auth(["customer.view"]), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ phone: req.params.phone });
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    const [invoices, exchanges] = await Promise.all([
+      Invoice.find({ customerId: customer._id }).sort({ date: -1 }),
+      OldGoldExchange.find({ customerId: customer._id }).sort({ date: -1 }),
+    ]);
+
+    const totalPurchases = invoices.reduce((sum, inv) => sum + inv.total, 0);
+    res.json({ customer, invoices, exchanges, totalPurchases });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Get a single customer
+router.get("/:id", auth(["customer.view"]), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+    res.json(customer);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Update customer
+router.put("/:id", auth(["customer.manage"]), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    req.audit.before = snapshot(customer);
+    const fields = pickCustomerFields(req.body);
+    customer.set(fields);
+    if (fields.kyc?.idNumber) {
+      customer.kyc.verifiedAt = new Date();
+      customer.kyc.verifiedBy = req.user.id;
+    }
+    await customer.save();
+    req.audit.after = customer;
+    res.json({ message: "Customer updated successfully", customer });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "A customer with this phone already exists" });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Delete customer (only when no bills or exchanges reference them)
+router.delete("/:id", auth(["customer.delete"]), async (req, res) => {
+  try {
+    const [invoiceCount, exchangeCount] = await Promise.all([
+      Invoice.countDocuments({ customerId: req.params.id }),
+      OldGoldExchange.countDocuments({ customerId: req.params.id }),
+    ]);
+    if (invoiceCount || exchangeCount) {
+      return res.status(400).json({ error: "Customer has invoices or exchanges and cannot be deleted" });
+    }
+
+    const customer = await Customer.findByIdAndDelete(req.params.id);
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+    req.audit.before = snapshot(customer);
+    res.json({ message: "Customer deleted" });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Record an old-gold exchange taken in from the customer
+// Body: { metalType, purity, grossWeight, deductionPercent?, ratePerGram?, valueCredited?, remarks? }
+router.post("/:id/exchanges", auth(["customer.manage"]), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+    const metalType = String(req.body.metalType || "").toLowerCase();
+    const purity = String(req.body.purity || "").toUpperCase();
+    const grossWeight = Number(req.body.grossWeight);
+    const deductionPercent = Number(req.body.deductionPercent) || 0;
+    const netWeight = Math.round(grossWeight * (1 - deductionPercent / 100) * 1000) / 1000;
+
+    let ratePerGram = req.body.ratePerGram !== undefined ? Number(req.body.ratePerGram) : undefined;
+    if (ratePerGram === undefined) {
+      const rates = await MetalRate.getEffectiveRates(toDateKey());
+      ratePerGram = rates[`${metalType}|${purity}`]?.ratePerGram;
+      if (ratePerGram === undefined) {
+        return res.status(400).json({ error: `No metal rate set for ${metalType} ${purity}` });
+      }
+    }
+
+    const valueCredited = req.body.valueCredited !== undefined
+      ? Number(req.body.valueCredited)
+      : Math.round(netWeight * ratePerGram * 100) / 100;
+
+    const exchange = await OldGoldExchange.create({
+      customerId: customer._id,
+      metalType,
+      purity,
+      grossWeight,
+      deductionPercent,
+      netWeight,
+      ratePerGram,
+      valueCredited,
+      remarks: req.body.remarks || "",
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({ message: "Exchange recorded successfully", exchange });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ A customer's exchanges
+router.get("/:id/exchanges", auth(["customer.view"]), async (req, res) => {
+  try {
+    const exchanges = await OldGoldExchange.find({ customerId: req.params.id }).sort({ date: -1 });
+    res.json(exchanges);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
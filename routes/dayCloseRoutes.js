@@ -0,0 +1,91 @@
+// routes/dayCloseRoutes.js
+const express = require("express");
+const router = express.Router();
+const DayClose = require("../models/DayClose");
+const auth = require("../middleware/auth");
+const { closedThrough, closeDay, reopenLastDay } = require("../utils/dayClose");
+const { withTransaction } = require("../utils/db");
+const { toDateKey, isDateKey, addDays } = require("../utils/businessDate");
+const { buildReport } = require("../utils/reports");
+const { readLocationIds } = require("../utils/locations");
+const { sendReport } = require("../utils/exporters");
+const { errorStatus } = require("../utils/httpError");
+
+const MAX_DAYS_PER_CALL = 31;
+
+// ✅ Closing status and recent closes
+router.get("/", auth(["report.view"]), async (req, res) => {
+  try {
+    const [through, closes] = await Promise.all([
+      closedThrough(),
+      DayClose.find().populate("closedBy", "username").sort({ dayKey: -1 }).limit(60),
+    ]);
+    res.json({ today: toDateKey(), closedThrough: through, closes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Close the books through a business day (default: today). Body: { dayKey?, remarks? }
+// Any open days before it are closed first, in order (at most 31 per call).
+router.post("/close", auth(["day.close"]), async (req, res) => {
+  try {
+    const target = req.body.dayKey || toDateKey();
+    if (!isDateKey(target)) return res.status(400).json({ error: "dayKey must be YYYY-MM-DD" });
+
+    const through = await closedThrough();
+    let dayKey = through ? addDays(through, 1) : target;
+    if (dayKey > target) return res.status(409).json({ error: `Business day ${target} is already closed` });
+
+    const closed = [];
+    while (dayKey <= target) {
+      if (closed.length >= MAX_DAYS_PER_CALL) break;
+      const key = dayKey;
+      await withTransaction(async (session) => {
+        closed.push(await closeDay(key, { userId: req.user.id, remarks: req.body.remarks || "", session }));
+      });
+      dayKey = addDays(dayKey, 1);
+    }
+
+    req.audit.targetId = closed[closed.length - 1]?.dayKey;
+    req.audit.note = `Closed ${closed.map((c) => c.dayKey).join(", ")}`;
+    res.status(201).json({
+      message: dayKey <= target
+        ? `Closed ${closed.length} day(s); call again to continue through ${target}`
+        : `Books closed through ${target}`,
+      closed,
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Reopen the most recently closed day (corrections only)
+router.post("/reopen", auth(["day.reopen"]), async (req, res) => {
+  try {
+    let dayKey;
+    await withTransaction(async (session) => {
+      dayKey = await reopenLastDay({ session });
+    });
+    req.audit.targetId = dayKey;
+    res.json({ message: `Business day ${dayKey} reopened`, dayKey });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Month-end stock register (?month=YYYY-MM|current|previous&locationId=&format=json|xlsx|pdf|csv, default json)
+router.get("/register", auth(["report.export"]), async (req, res) => {
+  try {
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const report = await buildReport("stock-register", { ...req.query, locationIds });
+    if (!req.query.format || req.query.format === "json") {
+      return res.json({ title: report.title, subtitle: report.subtitle, columns: report.columns, rows: report.rows });
+    }
+    sendReport(res, report, req.query.format);
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,377 @@
+// routes/invoiceRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Invoice = require("../models/Invoice");
+const Product = require("../models/Product");
+const MetalRate = require("../models/MetalRate");
+const Counter = require("../models/Counter");
+const Customer = require("../models/Customer");
+const OldGoldExchange = require("../models/OldGoldExchange");
+const auth = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { toDateKey, toFinancialYear, formatDateKey } = require("../utils/businessDate");
+const { recordMovement } = require("../utils/stock");
+const { resolveLocation, locationScope } = require("../utils/locations");
+const { locationMovementMatch } = require("../utils/dayClose");
+const { can } = require("../utils/permissions");
+const { withTransaction } = require("../utils/db");
+const { HttpError, errorStatus } = require("../utils/httpError");
+
+const GST_RATE = 3; // % on jewellery
+const PAN_MANDATORY_LIMIT = Number(process.env.PAN_MANDATORY_LIMIT) || 200000; // ₹, bill value
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ✅ Helper: a per-line price override (undefined = use the product's own); needs invoice.overrideRate
+function readOverride(user, value, label, sku) {
+  if (value === undefined) return undefined;
+  if (!can(user, "invoice.overrideRate")) {
+    throw new HttpError(403, `Overriding the ${label.toLowerCase()} needs the invoice.overrideRate permission`);
+  }
+  const amount = Number(value);
+  if (value === null || value === "" || !Number.isFinite(amount) || amount < 0) {
+    throw new HttpError(400, `${label} for ${sku} must be a number of at least 0`);
+  }
+  return amount;
+}
+
+// ✅ Helper: invoice filter limited to the user's locations (bills from before locations count as the default's)
+async function scopedFilter(user, filter = {}) {
+  const scope = locationScope(user);
+  return scope ? { $and: [filter, await locationMovementMatch(scope)] } : filter;
+}
+
+// ✅ Create invoice: prices each line at today's rate, applies GST and sells the stock
+// Body: { customerId? | customer: { name, phone, address, pan, gstin, stateCode },
+//         items: [{ productId, quantity, ratePerGram?, makingCharges? }], exchangeIds?, remarks?, locationId? }
+// ratePerGram / makingCharges override the day's rate and the product's charge (invoice.overrideRate only)
+router.post("/", auth(["invoice.create", "stock.sell"]), idempotency(), async (req, res) => {
+  try {
+    const { items = [], exchangeIds = [], remarks = "" } = req.body;
+
+    // 👤 Resolve the registered customer (walk-ins are registered by phone on first bill)
+    let customerDoc = null;
+    if (req.body.customerId) {
+      customerDoc = await Customer.findById(req.body.customerId);
+      if (!customerDoc) return res.status(404).json({ error: "Customer not found" });
+    } else if (req.body.customer?.phone) {
+      customerDoc = await Customer.findOne({ phone: req.body.customer.phone });
+      if (!customerDoc) customerDoc = new Customer(req.body.customer);
+      else if (req.body.customer.pan && !customerDoc.pan) customerDoc.pan = req.body.customer.pan;
+      await customerDoc.validate();
+    }
+
+    const source = customerDoc || req.body.customer || {};
+    const customer = {
+      name: source.name,
+      phone: source.phone,
+      address: source.address,
+      pan: source.pan,
+      gstin: source.gstin,
+      stateCode: source.stateCode,
+    };
+    if (!customer.name) return res.status(400).json({ error: "Customer name is required" });
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ error: "At least one line item is required" });
+    }
+
+    // 📅 One instant dates the bill: its rates, business day, printed date and financial year all follow it
+    const now = new Date();
+    const dayKey = toDateKey(now);
+    const rates = await MetalRate.getEffectiveRates(dayKey);
+
+    // 🧮 Price every line before touching the sequence or stock
+    const lines = [];
+    for (const item of items) {
+      const quantity = Number(item.quantity) || 0;
+      if (quantity < 1) return res.status(400).json({ error: "Quantity must be at least 1" });
+
+      const product = await Product.findById(item.productId);
+      if (!product || !product.isActive) {
+        return res.status(404).json({ error: `Product not found: ${item.productId}` });
+      }
+      if (product.quantity < quantity) {
+        return res.status(409).json({ error: `Insufficient stock for ${product.sku}` });
+      }
+
+      const rateOverride = readOverride(req.user, item.ratePerGram, "Rate per gram", product.sku);
+      const makingOverride = readOverride(req.user, item.makingCharges, "Making charges", product.sku);
+      if (rateOverride === 0) {
+        return res.status(400).json({ error: `Rate per gram for ${product.sku} must be more than 0` });
+      }
+      const rate = rateOverride ?? rates[`${product.metalType}|${product.purity}`]?.ratePerGram;
+      if (!rate) {
+        return res.status(400).json({ error: `No metal rate set for ${product.sku}` });
+      }
+
+      const netWeight = (product.netWeight || 0) * quantity;
+      const metalValue = round2(netWeight * rate);
+      const makingCharges = round2(makingOverride ?? (product.makingCharges || 0) * quantity);
+
+      lines.push({
+        product,
+        line: {
+          productId: product._id,
+          sku: product.sku,
+          name: product.name,
+          huid: product.huid,
+          metalType: product.metalType,
+          purity: product.purity,
+          quantity,
+          netWeight: round2(netWeight),
+          ratePerGram: rate,
+          metalValue,
+          makingCharges,
+          taxableValue: round2(metalValue + makingCharges),
+        },
+      });
+    }
+
+    // 🧾 GST: CGST + SGST within the shop's state, IGST across states
+    const shopState = process.env.SHOP_STATE_CODE;
+    const supplyType = shopState && customer.stateCode && customer.stateCode !== shopState
+      ? "inter"
+      : "intra";
+    const taxableValue = round2(lines.reduce((sum, l) => sum + l.line.taxableValue, 0));
+    const tax = round2((taxableValue * GST_RATE) / 100);
+    const cgst = supplyType === "intra" ? round2(tax / 2) : 0;
+    const sgst = supplyType === "intra" ? round2(tax - cgst) : 0;
+    const igst = supplyType === "inter" ? tax : 0;
+    const gross = taxableValue + cgst + sgst + igst;
+    const total = Math.round(gross);
+
+    // 🪪 PAN is mandatory on high-value bills
+    if (total >= PAN_MANDATORY_LIMIT && !customer.pan) {
+      return res.status(400).json({
+        error: `Customer PAN is required for bills of ₹${PAN_MANDATORY_LIMIT} or more`,
+      });
+    }
+
+    // 🔁 Old-gold exchanges credited against this bill
+    let exchanges = [];
+    if (exchangeIds.length) {
+      if (!customerDoc || customerDoc.isNew) {
+        return res.status(400).json({ error: "Exchanges can only be applied for a registered customer" });
+      }
+      exchanges = await OldGoldExchange.find({
+        _id: { $in: exchangeIds },
+        customerId: customerDoc._id,
+        invoiceId: { $exists: false },
+      });
+      if (exchanges.length !== exchangeIds.length) {
+        return res.status(400).json({ error: "One or more exchanges are invalid or already used" });
+      }
+    }
+    const exchangeCredit = round2(exchanges.reduce((sum, e) => sum + e.valueCredited, 0));
+    const amountPayable = round2(Math.max(total - exchangeCredit, 0));
+
+    // 🔢 Number allocation, invoice and stock postings commit together (keeps numbering gap-free)
+    const financialYear = toFinancialYear(now);
+    let invoice;
+    await withTransaction(async (session) => {
+      const location = await resolveLocation(req.user, req.body.locationId, { session });
+      const sequence = await Counter.next(`invoice:${financialYear}`, { session });
+      const invoiceNo = `INV/${financialYear}/${String(sequence).padStart(4, "0")}`;
+
+      if (customerDoc && (customerDoc.isNew || customerDoc.isModified())) {
+        await customerDoc.save({ session });
+      }
+
+      [invoice] = await Invoice.create(
+        [{
+          invoiceNo,
+          financialYear,
+          sequence,
+          date: now,
+          dayKey,
+          customerId: customerDoc?._id,
+          customer,
+          items: lines.map((l) => l.line),
+          supplyType,
+          gstRate: GST_RATE,
+          taxableValue,
+          cgst,
+          sgst,
+          igst,
+          roundOff: round2(total - gross),
+          total,
+          exchangeIds: exchanges.map((e) => e._id),
+          exchangeCredit,
+          amountPayable,
+          locationId: location._id,
+          createdBy: req.user.id,
+          remarks,
+        }],
+        { session }
+      );
+
+      if (exchanges.length) {
+        // 🔒 Claim only exchanges still unused, so a concurrent bill can't credit the same one twice
+        const claimed = await OldGoldExchange.updateMany(
+          { _id: { $in: exchanges.map((e) => e._id) }, invoiceId: { $exists: false } },
+          { $set: { invoiceId: invoice._id } },
+          { session }
+        );
+        if (claimed.modifiedCount !== exchanges.length) {
+          throw new HttpError(409, "One or more exchanges were just used on another invoice");
+        }
+      }
+
+      for (const { product, line } of lines) {
+        await recordMovement(
+          product,
+          { type: "sale", quantity: -line.quantity, userId: req.user.id, reference: invoiceNo, locationId: location._id },
+          { session }
+        );
+      }
+      await req.idempotency?.commit({ session });
+    });
+
+    res.status(201).json({ message: "Invoice created successfully", invoice });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ List invoices (optionally by financial year / customer); users scoped to locations see their locations' bills
+router.get("/", auth(["invoice.view"]), async (req, res) => {
+  try {
+    const { financialYear, phone, customerId } = req.query;
+    const filter = {};
+    if (financialYear) filter.financialYear = financialYear;
+    if (phone) filter["customer.phone"] = phone;
+    if (customerId) {
+      if (!mongoose.isValidObjectId(customerId)) return res.status(400).json({ error: "Invalid customerId" });
+      filter.customerId = customerId;
+    }
+
+    const invoices = await Invoice.find(await scopedFilter(req.user, filter)).sort({ date: -1 });
+    res.json(invoices);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Get a single invoice
+router.get("/:id", auth(["invoice.view"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Invoice not found" });
+    const invoice = await Invoice.findOne(await scopedFilter(req.user, { _id: req.params.id }));
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+    res.json(invoice);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Printable PDF bill
+router.get("/:id/pdf", auth(["invoice.view"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Invoice not found" });
+    const invoice = await Invoice.findOne(await scopedFilter(req.user, { _id: req.params.id }));
+    if (!invoice) return res.status(404).json({ error: "Invoice not found" });
+
+    const jsPDF = require("jspdf").jsPDF;
+    const autoTable = require("jspdf-autotable").default || require("jspdf-autotable");
+
+    const doc = new jsPDF({ orientation: "portrait", unit: "pt", format: "A4" });
+    const pageWidth = doc.internal.pageSize.width;
+    const money = (n) => Number(n || 0).toFixed(2);
+
+    // Header
+    doc.setFontSize(16);
+    doc.text(process.env.SHOP_NAME || "Jewellery Showroom", 40, 40);
+    doc.setFontSize(9);
+    if (process.env.SHOP_ADDRESS) doc.text(process.env.SHOP_ADDRESS, 40, 56);
+    if (process.env.SHOP_GSTIN) doc.text(`GSTIN: ${process.env.SHOP_GSTIN}`, 40, 68);
+
+    doc.setFontSize(12);
+    doc.text("TAX INVOICE", pageWidth - 40, 40, { align: "right" });
+    doc.setFontSize(9);
+    doc.text(`Invoice No: ${invoice.invoiceNo}`, pageWidth - 40, 56, { align: "right" });
+    doc.text(
+      `Date: ${formatDateKey(invoice.dayKey || toDateKey(invoice.date))}`,
+      pageWidth - 40,
+      68,
+      { align: "right" }
+    );
+
+    // Customer block
+    const c = invoice.customer || {};
+    doc.setFontSize(10);
+    doc.text(`Bill To: ${c.name}`, 40, 96);
+    doc.setFontSize(9);
+    let y = 108;
+    [c.phone && `Phone: ${c.phone}`, c.address, c.pan && `PAN: ${c.pan}`, c.gstin && `GSTIN: ${c.gstin}`]
+      .filter(Boolean)
+      .forEach((line) => {
+        doc.text(line, 40, y);
+        y += 12;
+      });
+
+    // --- Line items ---
+    (autoTable.default || autoTable)(doc, {
+      startY: y + 8,
+      head: [["SKU", "Item", "HUID", "Purity", "Qty", "Net Wt (g)", "Rate/g", "Metal", "Making", "Amount"]],
+      body: invoice.items.map((i) => [
+        i.sku,
+        i.name,
+        i.huid || "",
+        i.purity || "",
+        i.quantity,
+        i.netWeight,
+        money(i.ratePerGram),
+        money(i.metalValue),
+        money(i.makingCharges),
+        money(i.taxableValue),
+      ]),
+      theme: "grid",
+      styles: { fontSize: 8, cellPadding: 4 },
+      headStyles: { fillColor: [30, 64, 175], textColor: 255, fontStyle: "bold" },
+    });
+
+    // --- Totals ---
+    const totals = [["Taxable Value", money(invoice.taxableValue)]];
+    if (invoice.supplyType === "inter") {
+      totals.push([`IGST @ ${invoice.gstRate}%`, money(invoice.igst)]);
+    } else {
+      totals.push([`CGST @ ${invoice.gstRate / 2}%`, money(invoice.cgst)]);
+      totals.push([`SGST @ ${invoice.gstRate / 2}%`, money(invoice.sgst)]);
+    }
+    totals.push(["Round Off", money(invoice.roundOff)]);
+    totals.push(["Total", money(invoice.total)]);
+    if (invoice.exchangeCredit) {
+      totals.push(["Less: Old Gold Exchange", `-${money(invoice.exchangeCredit)}`]);
+      totals.push(["Amount Payable", money(invoice.amountPayable)]);
+    }
+
+    (autoTable.default || autoTable)(doc, {
+      startY: doc.lastAutoTable.finalY + 10,
+      body: totals,
+      theme: "plain",
+      tableWidth: 220,
+      margin: { left: pageWidth - 260 },
+      styles: { fontSize: 9, cellPadding: 3 },
+      columnStyles: { 1: { halign: "right" } },
+      didParseCell: (data) => {
+        if (data.row.index === totals.length - 1) data.cell.styles.fontStyle = "bold";
+      },
+    });
+
+    doc.setFontSize(8);
+    doc.text("This is a computer generated invoice.", 40, doc.internal.pageSize.height - 20);
+
+    const pdfData = doc.output("arraybuffer");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${invoice.invoiceNo.replace(/\//g, "-")}.pdf`
+    );
+    res.contentType("application/pdf");
+    res.send(Buffer.from(pdfData));
+  } catch (err) {
+    console.error("❌ Invoice PDF Error:", err);
+    res.status(500).json({ error: "Failed to generate invoice PDF" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// routes/labelRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const PDFDocument = require("pdfkit");
+const bwipjs = require("bwip-js");
+const Product = require("../models/Product");
+const auth = require("../middleware/auth");
+
+// A4 sheet of 3 × 8 tags (63.5 × 33.9 mm, the common L7159 layout), in points
+const SHEET = {
+  columns: 3,
+  rows: 8,
+  labelWidth: 180,
+  labelHeight: 96,
+  marginLeft: 20,
+  marginTop: 38,
+  gapX: 7,
+  gapY: 0,
+};
+
+// Largest print run per request (~42 sheets); bigger runs are split by the caller
+const MAX_LABELS = 1000;
+
+// ✅ Helper: barcode PNG for a label (value is the SKU, resolved by /api/products/scan/:code)
+function renderCode(format, text) {
+  return format === "qrcode"
+    ? bwipjs.toBuffer({ bcid: "qrcode", text, scale: 3 })
+    : bwipjs.toBuffer({ bcid: "code128", text, scale: 2, height: 9 });
+}
+
+// ✅ Print tag labels as a PDF sheet
+// Body: { productIds?: [], skus?: [], format?: "code128" | "qrcode", perPiece?: boolean, skip?: number }
+// perPiece prints one tag per unit in stock; skip leaves already-used tags on a partly used sheet blank
+router.post("/", auth(["label.print"]), async (req, res) => {
+  try {
+    const { productIds = [], skus = [], format = "code128", perPiece = false } = req.body;
+    if (!["code128", "qrcode"].includes(format)) {
+      return res.status(400).json({ error: "format must be code128 or qrcode" });
+    }
+    if (!Array.isArray(productIds) || !Array.isArray(skus)) {
+      return res.status(400).json({ error: "productIds and skus must be arrays" });
+    }
+    if (!productIds.length && !skus.length) {
+      return res.status(400).json({ error: "Select products by productIds or skus" });
+    }
+    const invalid = productIds.filter((id) => !mongoose.isValidObjectId(id));
+    if (invalid.length) return res.status(400).json({ error: `Invalid productIds: ${invalid.join(", ")}` });
+
+    const products = await Product.find({
+      $or: [{ _id: { $in: productIds } }, { sku: { $in: skus.map((s) => String(s).toUpperCase()) } }],
+    }).sort({ sku: 1 });
+    if (!products.length) return res.status(404).json({ error: "No matching products" });
+
+    const copiesOf = (p) => (perPiece ? Math.max(p.quantity, 0) : 1);
+    const total = products.reduce((sum, p) => sum + copiesOf(p), 0);
+    if (total > MAX_LABELS) {
+      return res.status(400).json({ error: `${total} labels requested; print at most ${MAX_LABELS} at a time` });
+    }
+
+    const labels = [];
+    for (const p of products) {
+      const copies = copiesOf(p);
+      if (!copies) continue;
+      const image = await renderCode(format, p.sku);
+      for (let i = 0; i < copies; i++) labels.push({ product: p, image });
+    }
+    if (!labels.length) return res.status(400).json({ error: "Nothing in stock to label" });
+
+    const doc = new PDFDocument({ size: "A4", margin: 0 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => {
+      res.setHeader("Content-Disposition", `attachment; filename=labels_${Date.now()}.pdf`);
+      res.contentType("application/pdf");
+      res.send(Buffer.concat(chunks));
+    });
+
+    const perPage = SHEET.columns * SHEET.rows;
+    const skip = Math.min(Math.max(Number(req.body.skip) || 0, 0), perPage - 1);
+
+    labels.forEach(({ product: p, image }, index) => {
+      const slot = index + skip;
+      if (slot > 0 && slot % perPage === 0) doc.addPage();
+      const col = (slot % perPage) % SHEET.columns;
+      const row = Math.floor((slot % perPage) / SHEET.columns);
+      const x = SHEET.marginLeft + col * (SHEET.labelWidth + SHEET.gapX);
+      const y = SHEET.marginTop + row * (SHEET.labelHeight + SHEET.gapY);
+
+      // Barcode on the left (QR) or across the top (Code128)
+      let textX = x + 6;
+      let textY = y + 6;
+      if (format === "qrcode") {
+        doc.image(image, x + 6, y + 8, { fit: [70, 70] });
+        textX = x + 82;
+      } else {
+        doc.image(image, x + 6, y + 6, { fit: [SHEET.labelWidth - 12, 30] });
+        textY = y + 40;
+      }
+
+      const textWidth = x + SHEET.labelWidth - 6 - textX;
+      const weights = [
+        p.grossWeight ? `G ${p.grossWeight}g` : null,
+        p.netWeight ? `N ${p.netWeight}g` : null,
+      ].filter(Boolean).join("  ");
+
+      doc.font("Helvetica-Bold").fontSize(9).text(p.sku || "", textX, textY, { width: textWidth });
+      doc.font("Helvetica").fontSize(7);
+      doc.text(p.name || "", { width: textWidth, height: 9, ellipsis: true });
+      if (weights) doc.text(weights, { width: textWidth });
+      if (p.purity) doc.text(`${(p.metalType || "").toUpperCase()} ${p.purity}`.trim(), { width: textWidth });
+      if (p.huid) doc.text(`HUID ${p.huid}`, { width: textWidth });
+    });
+
+    doc.end();
+  } catch (err) {
+    console.error("❌ Label Error:", err);
+    res.status(500).json({ error: "Failed to generate labels" });
+  }
+});
+
+module.exports = router;
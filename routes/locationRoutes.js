@@ -0,0 +1,115 @@
+// routes/locationRoutes.js
+const express = require("express");
+const router = express.Router();
+const Location = require("../models/Location");
+const StockBalance = require("../models/StockBalance");
+const StockTransfer = require("../models/StockTransfer");
+const auth = require("../middleware/auth");
+const { withTransaction } = require("../utils/db");
+const { HttpError, errorStatus } = require("../utils/httpError");
+const { canUseLocation } = require("../utils/locations");
+const { snapshot } = require("../utils/diff");
+
+const EDITABLE_FIELDS = ["code", "name", "type", "address", "isActive"];
+
+function pickLocationFields(body = {}) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) fields[f] = body[f];
+  });
+  return fields;
+}
+
+// ✅ List locations (?active=false for closed ones); every signed-in user can pick transfer destinations
+router.get("/", auth(), async (req, res) => {
+  try {
+    const filter = { isActive: req.query.active !== "false" };
+    const locations = await Location.find(filter).sort({ isDefault: -1, name: 1 });
+    res.json(locations);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Add a showroom, safe or branch
+// Body: { code, name, type?, address? }
+router.post("/", auth(["location.manage"]), async (req, res) => {
+  try {
+    const location = await Location.create(pickLocationFields(req.body));
+    req.audit.after = location;
+    res.status(201).json({ message: "Location added successfully", location });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "A location with this code already exists" });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Update a location; { isDefault: true } makes it where stock goes when no location is given
+// A location still holding stock or awaiting a transfer can't be closed.
+router.put("/:id", auth(["location.manage"]), async (req, res) => {
+  try {
+    let location;
+    await withTransaction(async (session) => {
+      location = await Location.findById(req.params.id).session(session);
+      if (!location) throw new HttpError(404, "Location not found");
+      req.audit.before = snapshot(location);
+
+      const fields = pickLocationFields(req.body);
+      if (fields.isActive === false && location.isActive) {
+        if (location.isDefault) throw new HttpError(400, "The default location cannot be closed");
+        const [stocked, pending] = await Promise.all([
+          StockBalance.exists({ locationId: location._id, quantity: { $gt: 0 } }).session(session),
+          StockTransfer.exists({
+            status: "in_transit",
+            $or: [{ fromLocationId: location._id }, { toLocationId: location._id }],
+          }).session(session),
+        ]);
+        if (stocked) throw new HttpError(400, "Transfer this location's stock elsewhere before closing it");
+        if (pending) throw new HttpError(400, "This location has transfers in transit");
+      }
+      location.set(fields);
+
+      if (req.body.isDefault === true && !location.isDefault) {
+        if (!location.isActive) throw new HttpError(400, "A closed location cannot be the default");
+        await Location.updateMany({ isDefault: true }, { $set: { isDefault: false } }, { session });
+        location.isDefault = true;
+      }
+      await location.save({ session });
+    });
+
+    req.audit.after = location;
+    res.json({ message: "Location updated successfully", location });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "A location with this code already exists" });
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Stock held at a location (pieces per product; ?all=true includes products at zero)
+router.get("/:id/stock", auth(["product.view"]), async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location) return res.status(404).json({ error: "Location not found" });
+    if (!canUseLocation(req.user, location._id)) {
+      return res.status(403).json({ error: "You are not assigned to this location" });
+    }
+
+    const filter = { locationId: location._id };
+    if (req.query.all !== "true") filter.quantity = { $gt: 0 };
+    const balances = await StockBalance.find(filter)
+      .populate("productId", "sku name metalType purity grossWeight netWeight isActive")
+      .lean();
+
+    const items = balances
+      .filter((b) => b.productId)
+      .map((b) => ({ ...b.productId, quantity: b.quantity }))
+      .sort((a, b) => String(a.sku || "").localeCompare(String(b.sku || "")));
+    const pieces = items.reduce((sum, i) => sum + i.quantity, 0);
+
+    res.json({ location, items, totals: { products: items.length, pieces } });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,199 +1,667 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Product = require("../models/Product");
 const TransactionLog = require("../models/TransactionLog");
+const StockMovement = require("../models/StockMovement");
+const StockBalance = require("../models/StockBalance");
+const StockTransfer = require("../models/StockTransfer");
+const InventoryHistory = require("../models/InventoryHistory");
+const DeletedProduct = require("../models/DeletedProduct");
+const MetalRate = require("../models/MetalRate");
 const XLSX = require("xlsx");
+const multer = require("multer");
 const auth = require("../middleware/auth"); // ✅ Import auth middleware
+const idempotency = require("../middleware/idempotency");
+const { can } = require("../utils/permissions");
+const { toDateKey, isDateKey } = require("../utils/businessDate");
+const { recordMovement, locationDailyLogs } = require("../utils/stock");
+const { resolveLocation, readLocationIds, quantitiesAt } = require("../utils/locations");
+const { locationMovementMatch } = require("../utils/dayClose");
+const { generateSku } = require("../utils/sku");
+const { withTransaction } = require("../utils/db");
+const { HttpError, errorStatus } = require("../utils/httpError");
+const { sendXlsx, sendReport } = require("../utils/exporters");
+const { buildReport } = require("../utils/reports");
+const { snapshot } = require("../utils/diff");
+const { listProducts } = require("../utils/productQuery");
+const { categoryIndex, readCategoryId, normaliseTags } = require("../utils/categories");
+
+// 📥 Spreadsheet uploads are kept in memory (5 MB cap)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|xls|csv)$/i.test(file.originalname)) return cb(null, true);
+    cb(new HttpError(400, "Only .xlsx, .xls or .csv files are allowed"));
+  },
+});
 
-// ✅ Helper to generate SKU
-async function generateSKU(name) {
-  const initials = name.slice(0, 2).toUpperCase();
-  const lastProduct = await Product.findOne({ sku: new RegExp(`^${initials}`, "i") }).sort({ sku: -1 });
-  let nextNumber = 1;
-  if (lastProduct && lastProduct.sku) {
-    const existingNumber = parseInt(lastProduct.sku.slice(2)) || 0;
-    nextNumber = existingNumber + 1;
-  }
-  return `${initials}${nextNumber.toString().padStart(2, "0")}`;
+// ✅ Helper to pick metal/weight attributes from a request body
+const NUMERIC_ATTRIBUTES = ["grossWeight", "netWeight", "stoneWeight", "makingCharges"];
+const STRING_ATTRIBUTES = ["metalType", "purity", "huid", "photoUrl"];
+
+function pickAttributes(body = {}) {
+  const attrs = {};
+  NUMERIC_ATTRIBUTES.forEach((field) => {
+    if (body[field] !== undefined && body[field] !== "") attrs[field] = Number(body[field]);
+  });
+  STRING_ATTRIBUTES.forEach((field) => {
+    if (body[field] !== undefined && body[field] !== "") attrs[field] = String(body[field]).trim();
+  });
+  if (attrs.metalType) attrs.metalType = attrs.metalType.toLowerCase();
+  if (attrs.purity) attrs.purity = attrs.purity.toUpperCase();
+  return attrs;
+}
+
+// ✅ Helper: category (id or code), tags and structured attributes from a request body
+// Attributes come back as dotted paths so an update only touches the ones given ("" clears one).
+const VARIANT_ATTRIBUTES = { size: String, length: Number, stoneType: String, stoneCarat: Number };
+
+async function pickClassification(body = {}) {
+  const fields = {};
+  if (body.categoryId !== undefined) fields.categoryId = await readCategoryId(body.categoryId);
+  if (body.tags !== undefined) fields.tags = normaliseTags(body.tags);
+  const attributes = body.attributes || {};
+  Object.entries(VARIANT_ATTRIBUTES).forEach(([field, type]) => {
+    if (attributes[field] === undefined) return;
+    fields[`attributes.${field}`] = attributes[field] === "" || attributes[field] === null
+      ? undefined
+      : type(typeof attributes[field] === "string" ? attributes[field].trim() : attributes[field]);
+  });
+  return fields;
 }
 
 // ✅ Add Product (protected)
-router.post("/add", auth(["admin", "staff"]), async (req, res) => {
+router.post("/add", auth(["product.create"]), idempotency(), async (req, res) => {
   try {
     const { name, quantity, lowQuantity } = req.body;
-    const sku = await generateSKU(name);
+    if (!name) return res.status(400).json({ error: "Name is required" });
+    const openingQty = quantity === undefined || quantity === "" ? 0 : Number(quantity);
+    if (!Number.isInteger(openingQty) || openingQty < 0) {
+      return res.status(400).json({ error: "Opening quantity must be a whole number (0 for none)" });
+    }
 
     const product = new Product({
       name: name.toUpperCase(),
-      sku,
-      quantity: Number(quantity),
+      quantity: 0,
       lowQuantity: Number(lowQuantity) || 0,
-      openingQty: Number(quantity),
-      addedQty: 0,
-      soldQty: 0,
-      closingQty: Number(quantity),
+      ...pickAttributes(req.body),
+      ...(await pickClassification(req.body)),
       isActive: true,
       date: new Date(),
     });
 
-    await product.save();
-
-    // 🧾 Create initial Transaction Log
-    await new TransactionLog({
-      productId: product._id,
-      productName: product.name,
-      sku: product.sku,
-      openingQty: Number(quantity),
-      addedQty: 0,
-      soldQty: 0,
-      closingQty: Number(quantity),
-      remarks: "Initial stock entry",
-    }).save();
+    // 🧾 Opening stock goes through the movement ledger like any other change
+    await withTransaction(async (session) => {
+      product.sku = await generateSku(product, { session });
+      await product.save({ session });
+      if (openingQty > 0) {
+        const location = await resolveLocation(req.user, req.body.locationId, { session });
+        await recordMovement(
+          product,
+          {
+            type: "adjustment",
+            quantity: openingQty,
+            userId: req.user.id,
+            reason: "Initial stock entry",
+            locationId: location._id,
+          },
+          { session }
+        );
+      }
+      await req.idempotency?.commit({ session });
+    });
 
+    req.audit.after = product;
     res.status(201).json({ message: "Product added successfully", product });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
-// ✅ Update Product (with IST-based transaction logging)
-router.put("/update/:id", auth(["admin", "staff"]), async (req, res) => {
-  try {
-    const { addQty = 0, sellQty = 0 } = req.body;
-    const product = await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found" });
+// ✅ Helper: map spreadsheet headers ("Gross Weight", "gross_wt" …) onto product fields
+const IMPORT_COLUMNS = {
+  name: "name",
+  quantity: "quantity", qty: "quantity",
+  lowquantity: "lowQuantity", lowqty: "lowQuantity",
+  metal: "metalType", metaltype: "metalType",
+  purity: "purity",
+  grossweight: "grossWeight", grosswt: "grossWeight",
+  netweight: "netWeight", netwt: "netWeight",
+  stoneweight: "stoneWeight", stonewt: "stoneWeight",
+  makingcharges: "makingCharges", making: "makingCharges",
+  huid: "huid",
+  category: "category", categorycode: "category",
+  tags: "tags", collection: "tags", collections: "tags",
+  size: "size", length: "length",
+  stone: "stoneType", stonetype: "stoneType",
+  carat: "stoneCarat", stonecarat: "stoneCarat",
+};
+
+function readImportRows(file) {
+  const workbook = /\.csv$/i.test(file.originalname)
+    ? XLSX.read(file.buffer.toString("utf8"), { type: "string" })
+    : XLSX.read(file.buffer, { type: "buffer" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { defval: "" }).map((raw) => {
+    const fields = {};
+    Object.entries(raw).forEach(([header, value]) => {
+      const field = IMPORT_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, "")];
+      if (field) fields[field] = typeof value === "string" ? value.trim() : value;
+    });
+    return { raw, fields };
+  });
+}
+
+// ✅ Helper: validate one import row without saving it
+async function validateImportRow(fields, seenHuids) {
+  const errors = [];
+  const quantity = Number(fields.quantity);
+  if (!fields.name) errors.push("Name is required");
+  if (fields.quantity === undefined || fields.quantity === "" || !Number.isInteger(quantity) || quantity < 0) {
+    errors.push("Quantity must be a whole number of 0 or more");
+  }
+
+  const attrs = pickAttributes(fields);
+  NUMERIC_ATTRIBUTES.forEach((f) => {
+    if (attrs[f] !== undefined && Number.isNaN(attrs[f])) errors.push(`${f} must be a number`);
+  });
 
-    // 🕒 Calculate IST-based start and end of today
-    const nowIST = new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" });
-    const todayIST = new Date(nowIST);
-    const startOfDay = new Date(todayIST.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(todayIST.setHours(23, 59, 59, 999));
+  if (attrs.huid) {
+    if (seenHuids.has(attrs.huid.toUpperCase())) errors.push(`Duplicate HUID ${attrs.huid} in file`);
+    seenHuids.add(attrs.huid.toUpperCase());
+  }
 
-    // 🧾 Check if a transaction already exists today
-    let todayTxn = await TransactionLog.findOne({
-      productId: product._id,
-      date: { $gte: startOfDay, $lte: endOfDay },
+  // 🏷️ Category code, "Bridal; Festive" tags and variant attributes ride along with the metal attributes
+  try {
+    const attributes = {};
+    Object.keys(VARIANT_ATTRIBUTES).forEach((f) => {
+      if (fields[f] !== undefined && fields[f] !== "") attributes[f] = fields[f];
     });
+    Object.assign(attrs, await pickClassification({
+      categoryId: fields.category || undefined,
+      tags: fields.tags || undefined,
+      attributes,
+    }));
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  if (fields.name) {
+    try {
+      await new Product({
+        name: String(fields.name).toUpperCase(),
+        lowQuantity: Number(fields.lowQuantity) || 0,
+        ...attrs,
+      }).validate();
+    } catch (err) {
+      Object.values(err.errors || {}).forEach((e) => errors.push(e.message));
+    }
+  }
+  return { errors, quantity, attrs };
+}
+
+// ✅ Bulk import products from .xlsx / .csv (field "file")
+// ?dryRun=true → per-row preview only; ?errorsAs=xlsx → row errors as a downloadable sheet
+router.post("/import", auth(["product.import"]), upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "Upload a file in the \"file\" field" });
+
+    const rows = readImportRows(req.file);
+    if (!rows.length) return res.status(400).json({ error: "The file has no data rows" });
+
+    const seenHuids = new Set();
+    const preview = [];
+    for (const [index, { raw, fields }] of rows.entries()) {
+      const { errors, quantity, attrs } = await validateImportRow(fields, seenHuids);
+      preview.push({ row: index + 2, raw, fields, quantity, attrs, errors }); // row 1 is the header
+    }
 
-    // 🧭 If new day (no transaction for today)
-    if (!todayTxn) {
-      const lastTxn = await TransactionLog.findOne({ productId: product._id }).sort({ date: -1 });
-      const openingQty = lastTxn ? lastTxn.closingQty : product.quantity;
-      const closingQty = openingQty + Number(addQty) - Number(sellQty);
-
-      todayTxn = new TransactionLog({
-        productId: product._id,
-        productName: product.name,
-        sku: product.sku,
-        openingQty,
-        addedQty: Number(addQty),
-        soldQty: Number(sellQty),
-        closingQty,
-        remarks: "New day transaction",
+    // HUIDs already on file in the database
+    const huids = [...seenHuids];
+    if (huids.length) {
+      const existing = await Product.find({ huid: { $in: huids } }).select("huid");
+      const taken = new Set(existing.map((p) => p.huid));
+      preview.forEach((r) => {
+        if (r.attrs.huid && taken.has(r.attrs.huid.toUpperCase())) {
+          r.errors.push(`HUID ${r.attrs.huid} already exists`);
+        }
       });
-    } else {
-      // 🧮 Merge multiple updates on same day
-      todayTxn.addedQty += Number(addQty);
-      todayTxn.soldQty += Number(sellQty);
-      todayTxn.closingQty = todayTxn.openingQty + todayTxn.addedQty - todayTxn.soldQty;
     }
 
-    await todayTxn.save();
+    const invalid = preview.filter((r) => r.errors.length);
+    const dryRun = req.query.dryRun === "true";
 
-    // 🧾 Update Product current snapshot
-    product.openingQty = todayTxn.openingQty;
-    product.addedQty = todayTxn.addedQty;
-    product.soldQty = todayTxn.soldQty;
-    product.closingQty = todayTxn.closingQty;
-    product.quantity = todayTxn.closingQty;
-    await product.save();
+    if (invalid.length && req.query.errorsAs === "xlsx") {
+      return sendXlsx(res, {
+        rows: invalid.map((r) => ({ Row: r.row, ...r.raw, Errors: r.errors.join("; ") })),
+        sheetName: "Import Errors",
+        filename: `import_errors_${Date.now()}`,
+      });
+    }
+
+    const report = {
+      total: preview.length,
+      valid: preview.length - invalid.length,
+      invalid: invalid.length,
+      rows: preview.map((r) => ({ row: r.row, name: r.fields.name, quantity: r.quantity, errors: r.errors })),
+    };
+    if (dryRun) return res.json({ dryRun: true, ...report });
+    if (invalid.length) {
+      return res.status(422).json({ error: "Fix the row errors before importing", ...report });
+    }
 
+    // 🧾 All-or-nothing: products, SKUs and opening stock commit together
+    const created = [];
+    await withTransaction(async (session) => {
+      created.length = 0;
+      const location = await resolveLocation(req.user, req.body.locationId || req.query.locationId, { session });
+      for (const r of preview) {
+        const name = String(r.fields.name).toUpperCase();
+        const product = new Product({
+          name,
+          quantity: 0,
+          lowQuantity: Number(r.fields.lowQuantity) || 0,
+          ...r.attrs,
+          isActive: true,
+          date: new Date(),
+        });
+        product.sku = await generateSku(product, { session });
+        await product.save({ session });
+
+        if (r.quantity > 0) {
+          await recordMovement(
+            product,
+            {
+              type: "adjustment",
+              quantity: r.quantity,
+              userId: req.user.id,
+              reason: "Initial stock entry (import)",
+              locationId: location._id,
+            },
+            { session }
+          );
+        }
+        created.push(product);
+      }
+    });
+
+    req.audit.note = `Imported ${created.length} products: ${created.map((p) => p.sku).join(", ")}`;
+    res.status(201).json({
+      message: `${created.length} products imported successfully`,
+      products: created.map((p) => ({ _id: p._id, sku: p.sku, name: p.name, quantity: p.quantity })),
+    });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Update Product (each stock change is a ledger movement, rolled up per business day)
+// Concurrent sales are serialised by the transaction; overselling or a conflicting edit answers 409.
+router.put("/update/:id", auth(), idempotency(), async (req, res) => {
+  try {
+    const { addQty = 0, sellQty = 0, returnQty = 0, adjustQty = 0, reason = "" } = req.body;
+    const movements = [
+      { type: "purchase", quantity: Number(addQty) },
+      { type: "return", quantity: Number(returnQty) },
+      { type: "sale", quantity: -Number(sellQty) },
+      { type: "adjustment", quantity: Number(adjustQty) },
+    ].filter((m) => m.quantity);
+    if (Number(adjustQty) && !reason) {
+      return res.status(400).json({ error: "A reason is required for stock adjustments" });
+    }
+
+    // 🔐 Each kind of change needs its own permission (e.g. counter staff may sell but not add stock)
+    const required = {
+      purchase: "stock.add", return: "stock.sell", sale: "stock.sell", adjustment: "stock.adjust",
+    };
+    const attributes = { ...pickAttributes(req.body), ...(await pickClassification(req.body)) };
+    const missing = movements.map((m) => required[m.type]);
+    if (Object.keys(attributes).length) missing.push("product.edit");
+    const denied = missing.find((perm) => !can(req.user, perm));
+    if (denied) return res.status(403).json({ error: `Access denied: ${denied} permission required` });
+
+    let product;
+    await withTransaction(async (session) => {
+      product = await Product.findById(req.params.id).session(session);
+      if (!product) throw new HttpError(404, "Product not found");
+      req.audit.before = snapshot(product);
+
+      // ⚖️ Apply any metal/weight attribute changes and validate before logging stock
+      product.set(attributes);
+      await product.validate();
+
+      if (movements.length) {
+        const location = await resolveLocation(req.user, req.body.locationId, { session });
+        for (const m of movements) {
+          await recordMovement(product, { ...m, userId: req.user.id, reason, locationId: location._id }, { session });
+        }
+      }
+      if (!movements.length) await product.save({ session });
+      await req.idempotency?.commit({ session });
+    });
+
+    req.audit.after = product;
     res.json({ message: "Product updated successfully (transaction logged)", product });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
-// ✅ Soft Delete Product (admin only)
-router.put("/soft-delete/:id", auth(["admin"]), async (req, res) => {
+// ✅ Soft Delete Product
+router.put("/soft-delete/:id", auth(["product.archive"]), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ error: "Product not found" });
 
+    req.audit.before = snapshot(product);
     product.isActive = false;
     await product.save();
+    req.audit.after = product;
 
     res.json({ message: "Product archived successfully", product });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
-// ✅ Restore Archived Product (admin only)
-router.put("/restore/:id", auth(["admin"]), async (req, res) => {
+// ✅ Restore Archived Product
+router.put("/restore/:id", auth(["product.archive"]), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ error: "Product not found" });
 
+    req.audit.before = snapshot(product);
     product.isActive = true;
     await product.save();
+    req.audit.after = product;
 
     res.json({ message: "Product restored successfully", product });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
-// ✅ Hard Delete (admin only)
-router.delete("/delete/:id", auth(["admin"]), async (req, res) => {
+// ✅ Hard Delete
+// The product and its daily history are archived to a tombstone first. The movement ledger and the
+// rows of closed days are kept, so filed books never change.
+router.delete("/delete/:id", auth(["product.hardDelete"]), async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found" });
+    let tombstone;
+    await withTransaction(async (session) => {
+      const product = await Product.findById(req.params.id).session(session);
+      if (!product) throw new HttpError(404, "Product not found");
+      if (await StockTransfer.exists({ status: "in_transit", "items.productId": product._id }).session(session)) {
+        throw new HttpError(400, "Product has stock in transit; receive or cancel the transfer first");
+      }
+
+      const [transactions, inventoryHistory] = await Promise.all([
+        TransactionLog.find({ productId: product._id }).sort({ date: 1 }).session(session).lean(),
+        InventoryHistory.find({ productId: product._id }).sort({ dayKey: 1 }).session(session).lean(),
+      ]);
+      [tombstone] = await DeletedProduct.create(
+        [{
+          productId: product._id,
+          sku: product.sku,
+          name: product.name,
+          product: product.toObject(),
+          transactions,
+          inventoryHistory,
+          deletedBy: req.user.id,
+          reason: req.body?.reason || "",
+        }],
+        { session }
+      );
+
+      // Delete transaction logs & daily rollups linked to this product
+      await TransactionLog.deleteMany({ productId: product._id, locked: { $ne: true } }, { session });
+      await InventoryHistory.deleteMany({ productId: product._id, locked: { $ne: true } }, { session });
+      await StockBalance.deleteMany({ productId: product._id }, { session });
+      await product.deleteOne({ session });
+      req.audit.before = snapshot(product);
+    });
 
-    // Delete transaction logs linked to this product
-    await TransactionLog.deleteMany({ productId: req.params.id });
+    req.audit.note = `Archived to tombstone ${tombstone._id}`;
+    res.json({ message: "Product permanently deleted", tombstoneId: tombstone._id });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
 
-    res.json({ message: "Product permanently deleted" });
+// ✅ List products, one page at a time
+// ?q= (name / SKU / HUID) &metalType= &purity= &lowStock=true &minWeight= &maxWeight= &weightBy=gross|net|stone
+// &status=active|archived|all &sort=-grossWeight &page= &limit=  (or &cursor= for keyset paging)
+// &category=RNG (code or id, includes sub-categories) &tags=bridal,festive &size= &stoneType=
+// &minCarat= &maxCarat= &minLength= &maxLength=
+// &locationId=a,b → only stock at those locations (users scoped to locations always get theirs)
+router.get("/", auth(["product.view"]), async (req, res) => {
+  try {
+    res.json(await listProducts(req.query, { locationIds: readLocationIds(req.user, req.query.locationId) }));
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+// ✅ Resolve a scanned tag (SKU, HUID, earlier SKU or product id) to its product
+router.get("/scan/:code", auth(["product.view"]), async (req, res) => {
+  try {
+    const code = String(req.params.code).trim().toUpperCase();
+    const or = [{ sku: code }, { huid: code }, { legacySkus: code }];
+    if (mongoose.isValidObjectId(req.params.code)) or.push({ _id: req.params.code });
+
+    const product = await Product.findOne({ $or: or });
+    if (!product) return res.status(404).json({ error: "No product matches this code" });
+    if (!product.isActive) return res.status(410).json({ error: "Product is archived", product });
+
+    res.json(product);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// ✅ Get all active products (public)
-router.get("/", async (req, res) => {
+// ✅ Live stock valuation at the day's metal rates
+// ?locationId=a,b values only the stock at those locations; without it the consolidated total
+// (every location plus stock in transit) is valued.
+router.get("/valuation", auth(["report.view"]), async (req, res) => {
   try {
-    const products = await Product.find({ isActive: true });
-    res.json(products);
+    const date = req.query.date || toDateKey();
+    if (!isDateKey(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+
+    const [allProducts, rates, located, categories] = await Promise.all([
+      Product.find({ isActive: true }),
+      MetalRate.getEffectiveRates(date),
+      locationIds ? quantitiesAt(locationIds) : null,
+      categoryIndex(),
+    ]);
+    const products = located
+      ? allProducts
+        .filter((p) => located.get(p._id.toString()))
+        .map((p) => Object.assign(p, { quantity: located.get(p._id.toString()) }))
+      : allProducts;
+
+    const round2 = (n) => Math.round(n * 100) / 100;
+    const groups = {};
+    const categoryGroups = {};
+    const grandTotal = { pieces: 0, netWeight: 0, metalValue: 0, makingCharges: 0, totalValue: 0 };
+    const missingRates = new Set();
+
+    const items = products.map((p) => {
+      const rate = rates[`${p.metalType}|${p.purity}`];
+      if (!rate && p.metalType) missingRates.add(`${p.metalType} ${p.purity || ""}`.trim());
+
+      const netWeight = (p.netWeight || 0) * p.quantity;
+      const metalValue = rate ? netWeight * rate.ratePerGram : 0;
+      const makingCharges = (p.makingCharges || 0) * p.quantity;
+      const totalValue = metalValue + makingCharges;
+
+      const key = `${p.metalType || "unspecified"}|${p.purity || "unspecified"}`;
+      if (!groups[key]) {
+        groups[key] = {
+          metalType: p.metalType || "unspecified",
+          purity: p.purity || "unspecified",
+          ratePerGram: rate ? rate.ratePerGram : null,
+          pieces: 0, netWeight: 0, metalValue: 0, makingCharges: 0, totalValue: 0,
+        };
+      }
+      const g = groups[key];
+      g.pieces += p.quantity;
+      g.netWeight += netWeight;
+      g.metalValue += metalValue;
+      g.makingCharges += makingCharges;
+      g.totalValue += totalValue;
+
+      const category = categories.pathOf(p.categoryId) || "Uncategorised";
+      if (!categoryGroups[category]) {
+        categoryGroups[category] = { category, pieces: 0, netWeight: 0, metalValue: 0, makingCharges: 0, totalValue: 0 };
+      }
+      const c = categoryGroups[category];
+      c.pieces += p.quantity;
+      c.netWeight += netWeight;
+      c.metalValue += metalValue;
+      c.makingCharges += makingCharges;
+      c.totalValue += totalValue;
+
+      grandTotal.pieces += p.quantity;
+      grandTotal.netWeight += netWeight;
+      grandTotal.metalValue += metalValue;
+      grandTotal.makingCharges += makingCharges;
+      grandTotal.totalValue += totalValue;
+
+      return {
+        _id: p._id,
+        sku: p.sku,
+        name: p.name,
+        category,
+        metalType: p.metalType,
+        purity: p.purity,
+        quantity: p.quantity,
+        netWeight: round2(netWeight),
+        ratePerGram: rate ? rate.ratePerGram : null,
+        rateDate: rate ? rate.date : null,
+        metalValue: round2(metalValue),
+        makingCharges: round2(makingCharges),
+        totalValue: round2(totalValue),
+      };
+    });
+
+    const byMetalPurity = Object.values(groups).map((g) => ({
+      ...g,
+      netWeight: round2(g.netWeight),
+      metalValue: round2(g.metalValue),
+      makingCharges: round2(g.makingCharges),
+      totalValue: round2(g.totalValue),
+    }));
+    const byCategory = Object.values(categoryGroups)
+      .sort((a, b) => a.category.localeCompare(b.category))
+      .map((g) => ({
+        ...g,
+        netWeight: round2(g.netWeight),
+        metalValue: round2(g.metalValue),
+        makingCharges: round2(g.makingCharges),
+        totalValue: round2(g.totalValue),
+      }));
+    Object.keys(grandTotal).forEach((k) => (grandTotal[k] = round2(grandTotal[k])));
+
+    res.json({
+      date, locationIds, items, byMetalPurity, byCategory, grandTotal, missingRates: [...missingRates],
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err, 500)).json({ error: err.message });
   }
 });
 
-// ✅ Get all archived products (public)
-router.get("/archived", async (req, res) => {
+// ✅ Get all archived products
+router.get("/archived", auth(["product.view"]), async (req, res) => {
   try {
-    const archived = await Product.find({ isActive: false });
-    res.json(archived);
+    res.json(await listProducts(req.query, {
+      status: "archived",
+      locationIds: readLocationIds(req.user, req.query.locationId),
+    }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err, 500)).json({ error: err.message });
   }
 });
 
-// ✅ Get ALL products (public)
-router.get("/all", async (req, res) => {
+// ✅ Get ALL products
+router.get("/all", auth(["product.view"]), async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    res.json(await listProducts(req.query, {
+      status: "all",
+      locationIds: readLocationIds(req.user, req.query.locationId),
+    }));
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+// ✅ Stock summary: piece counts and total grams per metal & purity
+// ?locationId=a,b counts only the stock at those locations (users scoped to locations always get theirs)
+router.get("/summary", auth(["product.view"]), async (req, res) => {
+  try {
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const source = locationIds
+      ? StockBalance.aggregate([
+        { $match: { locationId: { $in: locationIds.map((id) => new mongoose.Types.ObjectId(id)) } } },
+        { $group: { _id: "$productId", quantity: { $sum: "$quantity" } } },
+        { $match: { quantity: { $ne: 0 } } },
+        { $lookup: { from: "products", localField: "_id", foreignField: "_id", as: "product" } },
+        { $unwind: "$product" },
+        { $match: { "product.isActive": true } },
+        { $replaceWith: { $mergeObjects: ["$product", { quantity: "$quantity" }] } },
+      ])
+      : Product.aggregate([{ $match: { isActive: true } }]);
+    const summary = await source.append(
+      {
+        $group: {
+          _id: { metalType: "$metalType", purity: "$purity" },
+          products: { $sum: 1 },
+          pieces: { $sum: "$quantity" },
+          grossWeight: { $sum: { $multiply: ["$quantity", { $ifNull: ["$grossWeight", 0] }] } },
+          netWeight: { $sum: { $multiply: ["$quantity", { $ifNull: ["$netWeight", 0] }] } },
+          stoneWeight: { $sum: { $multiply: ["$quantity", { $ifNull: ["$stoneWeight", 0] }] } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          metalType: { $ifNull: ["$_id.metalType", "unspecified"] },
+          purity: { $ifNull: ["$_id.purity", "unspecified"] },
+          products: 1,
+          pieces: 1,
+          grossWeight: { $round: ["$grossWeight", 3] },
+          netWeight: { $round: ["$netWeight", 3] },
+          stoneWeight: { $round: ["$stoneWeight", 3] },
+        },
+      },
+      { $sort: { metalType: 1, purity: 1 } }
+    );
+
+    const totals = summary.reduce(
+      (acc, row) => ({
+        pieces: acc.pieces + row.pieces,
+        grossWeight: acc.grossWeight + row.grossWeight,
+        netWeight: acc.netWeight + row.netWeight,
+      }),
+      { pieces: 0, grossWeight: 0, netWeight: 0 }
+    );
+
+    res.json({ summary, totals });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err, 500)).json({ error: err.message });
   }
 });
 
 // ✅ Get all transactions by date (used for Calendar tab)
-router.get("/transactions/by-date", async (req, res) => {
+// ?locationId=a,b → daily rows for the stock at those locations (users scoped to locations always get theirs)
+router.get("/transactions/by-date", auth(["report.view"]), async (req, res) => {
   try {
     // Fetch all transaction logs sorted by date
-    const logs = await TransactionLog.find().sort({ date: 1 });
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const logs = locationIds
+      ? (await locationDailyLogs(locationIds)).sort((a, b) => a.date - b.date)
+      : await TransactionLog.find().sort({ date: 1 }).lean();
 
     // Extract unique product IDs
     const productIds = logs
@@ -219,7 +687,7 @@ router.get("/transactions/by-date", async (req, res) => {
     const enrichedLogs = logs.map((log) => {
       const info = productMap[log.productId?.toString()] || {};
       return {
-        ...log._doc,
+        ...log,
         productName: info.name || log.productName,
         sku: info.sku || log.sku,
         isActive: info.isActive ?? true, // default true
@@ -229,390 +697,64 @@ router.get("/transactions/by-date", async (req, res) => {
     res.json(enrichedLogs);
   } catch (err) {
     console.error("❌ Failed to fetch transactions:", err);
-    res.status(500).json({ error: "Failed to fetch transactions" });
+    res.status(errorStatus(err, 500)).json({ error: err.status ? err.message : "Failed to fetch transactions" });
   }
 });
 
 
-// ✅ Get transactions for a specific product
-router.get("/transactions/:id", auth(["admin", "staff"]), async (req, res) => {
+// ✅ Get transactions for a specific product (?locationId=a,b as for /transactions/by-date)
+router.get("/transactions/:id", auth(["product.view"]), async (req, res) => {
   try {
-    const logs = await TransactionLog.find({ productId: req.params.id }).sort({ date: -1 });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid product id" });
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const logs = locationIds
+      ? await locationDailyLogs(locationIds, { productId: req.params.id })
+      : await TransactionLog.find({ productId: req.params.id }).sort({ date: -1 });
     res.json(logs);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err, 500)).json({ error: err.message });
   }
 });
 
-// ✅ Export transactions as Excel (TransactionLog-based) — uses only updatedAt for column + sorting
-router.get("/export", auth(["admin", "staff"]), async (req, res) => {
-  try {
-    const { type, start, end } = req.query;
-    let filter = {};
-    let rangeLabel = "";
-    let startDate, endDate;
-
-    // --- CRITICAL FIX: IST-based time setup using explicit UTC math ---
-    const IST_OFFSET_MINUTES = 330; // IST is UTC + 5 hours 30 minutes
-    const MS_PER_MINUTE = 60 * 1000;
-    const now = new Date();
-    
-    // Calculate the current time's IST timestamp
-    const nowISTTime = now.getTime() + IST_OFFSET_MINUTES * MS_PER_MINUTE;
-    const currentIST = new Date(nowISTTime);
-
-    switch (type) {
-      case "today":
-      case "yesterday": {
-        // Get the Year, Month, and Date parts of the current IST day
-        const istYear = currentIST.getUTCFullYear();
-        const istMonth = currentIST.getUTCMonth();
-        const istDate = currentIST.getUTCDate();
-        
-        // Get the UTC timestamp for 00:00:00 IST today
-        // Date.UTC treats arguments as UTC, so this creates the timestamp for IST midnight
-        let startOfISTTodayUTC_MS = Date.UTC(istYear, istMonth, istDate, 0, 0, 0, 0);
-
-        // Subtract the IST offset to get the corresponding UTC time for IST midnight
-        startOfISTTodayUTC_MS -= IST_OFFSET_MINUTES * MS_PER_MINUTE;
-
-        // Calculate the start date based on the query type
-        if (type === "yesterday") {
-          startDate = new Date(startOfISTTodayUTC_MS - 24 * 60 * 60 * 1000);
-          endDate = new Date(startOfISTTodayUTC_MS - 1); // 1ms before IST midnight today
-          rangeLabel = "Yesterday";
-        } else { // "today"
-          startDate = new Date(startOfISTTodayUTC_MS);
-          endDate = now; // End date is the moment of export (current time in UTC)
-          rangeLabel = "Today";
-        }
-        break;
-      }
-      case "this_month":
-        // Use the IST date to get the first day of the IST month
-        startDate = new Date(Date.UTC(currentIST.getUTCFullYear(), currentIST.getUTCMonth(), 1));
-        // Recalculate start date to be 00:00:00 IST on the first day of the IST month
-        startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-        endDate = now;
-        rangeLabel = "This Month";
-        break;
-      case "last_3_months":
-        // Use the IST date to get the first day of the month 3 months ago
-        startDate = new Date(Date.UTC(currentIST.getUTCFullYear(), currentIST.getUTCMonth() - 2, 1));
-        // Recalculate start date to be 00:00:00 IST on that day
-        startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-        endDate = now;
-        rangeLabel = "Last 3 Months";
-        break;
-      case "this_year":
-        // Use the IST date to get the first day of the IST year
-        startDate = new Date(Date.UTC(currentIST.getUTCFullYear(), 0, 1));
-        // Recalculate start date to be 00:00:00 IST on the first day of the IST year
-        startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-        endDate = now;
-        rangeLabel = "This Year";
-        break;
-      case "custom":
-        if (start && end) {
-          // Custom range is easier, as you assume 'start' and 'end' are client-provided IST dates
-          
-          // This logic is already close, but we refine it to ensure 00:00:00 IST and 23:59:59 IST
-          const startIST = new Date(start); 
-          const endIST = new Date(end);
-
-          // Set start date to 00:00:00 of the requested day in IST, converted to UTC
-          startIST.setHours(0, 0, 0, 0); 
-          startDate = new Date(startIST.getTime() - startIST.getTimezoneOffset() * MS_PER_MINUTE + IST_OFFSET_MINUTES * MS_PER_MINUTE);
-            startDate = new Date(Date.UTC(startIST.getFullYear(), startIST.getMonth(), startIST.getDate()));
-            startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-
-          // Set end date to 23:59:59 of the requested day in IST, converted to UTC
-          endIST.setHours(23, 59, 59, 999);
-          endDate = new Date(Date.UTC(endIST.getFullYear(), endIST.getMonth(), endIST.getDate(), 23, 59, 59, 999));
-            endDate.setTime(endDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-
-          rangeLabel = `${start} → ${end}`;
-        }
-        break;
-      default:
-        rangeLabel = "All Data";
-    }
-
-    if (startDate && endDate)
-      filter.updatedAt = { $gte: startDate, $lte: endDate }; // ✅ use updatedAt for date filtering
-
-    // --- Aggregate TransactionLog + enrich with Product ---
-    const pipeline = [
-      { $match: filter },
-      { $addFields: { productIdStr: { $toString: "$productId" } } },
-      {
-        $lookup: {
-          from: "products",
-          let: { pidStr: "$productIdStr" },
-          pipeline: [
-            { $addFields: { idStr: { $toString: "$_id" } } },
-            { $match: { $expr: { $eq: ["$idStr", "$$pidStr"] } } },
-            { $project: { sku: 1, name: 1, isActive: 1 } },
-          ],
-          as: "productInfo",
-        },
-      },
-      { $unwind: { path: "$productInfo", preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          sku: { $ifNull: ["$productInfo.sku", "$sku"] },
-          name: { $ifNull: ["$productInfo.name", "$productName"] },
-          openingQty: 1,
-          addedQty: 1,
-          soldQty: 1,
-          closingQty: 1,
-          remarks: 1,
-          updatedAt: 1, // ✅ only this date field used
-          archived: {
-            $cond: [{ $eq: ["$productInfo.isActive", false] }, "Yes", "No"],
-          },
-        },
-      },
-      { $sort: { updatedAt: 1 } }, // ✅ sort by updatedAt ascending
-    ];
-
-    const logs = await TransactionLog.aggregate(pipeline);
-
-    if (!logs.length)
-      return res.status(404).json({ error: "No transactions found in this range." });
-
-    // --- Build rows for Excel ---
-    const rows = logs.map((l) => ({
-      SKU: l.sku || "",
-      Name: l.name || "",
-      Opening: l.openingQty ?? 0,
-      Added: l.addedQty ?? 0,
-      Sold: l.soldQty ?? 0,
-      Closing: l.closingQty ?? 0,
-      Remarks: l.remarks || "",
-      "Updated At": new Date(l.updatedAt).toLocaleString("en-IN", {
-        timeZone: "Asia/Kolkata",
-        dateStyle: "medium",
-        timeStyle: "short",
-      }),
-      Archived: l.archived || "No",
-    }));
-
-    // --- Generate Excel ---
-    const ws = XLSX.utils.json_to_sheet(rows);
-    const wb = XLSX.utils.book_new();
-    const safeSheetName = `Transactions - ${rangeLabel}`.substring(0, 31);
-    XLSX.utils.book_append_sheet(wb, ws, safeSheetName);
-    const buffer = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
-
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename=transactions_${type || "all"}_${Date.now()}.xlsx`
-    );
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-    );
-
-    res.send(buffer);
-  } catch (err) {
-    console.error("❌ Export Error (TransactionLog)", err);
-    res.status(500).json({ error: "Failed to export transaction data" });
-  }
+// ✅ Get the movement ledger for a specific product (?locationId=a,b → only entries at those locations)
+router.get("/movements/:id", auth(["product.view"]), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid product id" });
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const filter = { productId: req.params.id };
+    if (locationIds) Object.assign(filter, await locationMovementMatch(locationIds));
+    const movements = await StockMovement.find(filter)
+      .populate("userId", "username")
+      .populate("locationId", "code name")
+      .sort({ date: -1 });
+    res.json(movements);
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
 });
-// ✅ Export transactions as PDF (TransactionLog-based) — uses only updatedAt for filter, sort & display
-router.get("/export-pdf", auth(["admin", "staff"]), async (req, res) => {
-  try {
-    const { type, start, end } = req.query;
-    let filter = {};
-    let rangeLabel = "";
-    let startDate, endDate;
-
-    // --- CRITICAL FIX: IST-based time setup using explicit UTC math ---
-    const IST_OFFSET_MINUTES = 330; // IST is UTC + 5 hours 30 minutes
-    const MS_PER_MINUTE = 60 * 1000;
-    const now = new Date();
-    
-    // Calculate the current time's IST timestamp
-    const nowISTTime = now.getTime() + IST_OFFSET_MINUTES * MS_PER_MINUTE;
-    const currentIST = new Date(nowISTTime);
-
-    switch (type) {
-      case "today":
-      case "yesterday": {
-        // Get the Year, Month, and Date parts of the current IST day
-        const istYear = currentIST.getUTCFullYear();
-        const istMonth = currentIST.getUTCMonth();
-        const istDate = currentIST.getUTCDate();
-        
-        // Get the UTC timestamp for 00:00:00 IST today
-        let startOfISTTodayUTC_MS = Date.UTC(istYear, istMonth, istDate, 0, 0, 0, 0);
-
-        // Subtract the IST offset to get the corresponding UTC time for IST midnight
-        startOfISTTodayUTC_MS -= IST_OFFSET_MINUTES * MS_PER_MINUTE;
-
-        // Calculate the start date based on the query type
-        if (type === "yesterday") {
-          startDate = new Date(startOfISTTodayUTC_MS - 24 * 60 * 60 * 1000);
-          endDate = new Date(startOfISTTodayUTC_MS - 1); // 1ms before IST midnight today
-          rangeLabel = "Yesterday";
-        } else { // "today"
-          startDate = new Date(startOfISTTodayUTC_MS);
-          endDate = now; // End date is the moment of export (current time in UTC)
-          rangeLabel = "Today";
-        }
-        break;
-      }
-      case "this_month":
-        // Use the IST date to get the first day of the IST month
-        startDate = new Date(Date.UTC(currentIST.getUTCFullYear(), currentIST.getUTCMonth(), 1));
-        // Recalculate start date to be 00:00:00 IST on the first day of the IST month
-        startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-        endDate = now;
-        rangeLabel = "This Month";
-        break;
-      case "last_3_months":
-        // Use the IST date to get the first day of the month 3 months ago
-        startDate = new Date(Date.UTC(currentIST.getUTCFullYear(), currentIST.getUTCMonth() - 2, 1));
-        // Recalculate start date to be 00:00:00 IST on that day
-        startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-        endDate = now;
-        rangeLabel = "Last 3 Months";
-        break;
-      case "this_year":
-        // Use the IST date to get the first day of the IST year
-        startDate = new Date(Date.UTC(currentIST.getUTCFullYear(), 0, 1));
-        // Recalculate start date to be 00:00:00 IST on the first day of the IST year
-        startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-        endDate = now;
-        rangeLabel = "This Year";
-        break;
-      case "custom":
-        if (start && end) {
-          // Custom range: Calculate 00:00:00 IST of start day and 23:59:59 IST of end day in UTC
-          
-          const startIST = new Date(start);
-          const endIST = new Date(end);
-
-          // Set start date to 00:00:00 of the requested day in IST, converted to UTC
-          startDate = new Date(Date.UTC(startIST.getFullYear(), startIST.getMonth(), startIST.getDate()));
-            startDate.setTime(startDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-
-          // Set end date to 23:59:59 of the requested day in IST, converted to UTC
-          endDate = new Date(Date.UTC(endIST.getFullYear(), endIST.getMonth(), endIST.getDate(), 23, 59, 59, 999));
-            endDate.setTime(endDate.getTime() - IST_OFFSET_MINUTES * MS_PER_MINUTE);
-
-          rangeLabel = `${start} → ${end}`;
-        }
-        break;
-      default:
-        rangeLabel = "All Data";
-    }
-
-    if (startDate && endDate)
-      filter.updatedAt = { $gte: startDate, $lte: endDate }; // ✅ use updatedAt for filtering
-
-    // --- Aggregate TransactionLog and enrich with Product info ---
-    const pipeline = [
-      { $match: filter },
-      { $addFields: { productIdStr: { $toString: "$productId" } } },
-      {
-        $lookup: {
-          from: "products",
-          let: { pidStr: "$productIdStr" },
-          pipeline: [
-            { $addFields: { idStr: { $toString: "$_id" } } },
-            { $match: { $expr: { $eq: ["$idStr", "$$pidStr"] } } },
-            { $project: { sku: 1, name: 1, isActive: 1 } },
-          ],
-          as: "productInfo",
-        },
-      },
-      { $unwind: { path: "$productInfo", preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          sku: { $ifNull: ["$productInfo.sku", "$sku"] },
-          name: { $ifNull: ["$productInfo.name", "$productName"] },
-          openingQty: 1,
-          addedQty: 1,
-          soldQty: 1,
-          closingQty: 1,
-          remarks: 1,
-          updatedAt: 1,
-          archived: {
-            $cond: [{ $eq: ["$productInfo.isActive", false] }, "Yes", "No"],
-          },
-        },
-      },
-      { $sort: { updatedAt: -1 } }, // ✅ sort by updatedAt descending (latest first)
-    ];
-
-    const logs = await TransactionLog.aggregate(pipeline);
-
-    if (!logs.length)
-      return res.status(404).json({ error: "No transactions found in this range." });
-
-    // --- Prepare jsPDF (requires installation: npm install jspdf jspdf-autotable) ---
-    const jsPDF = require("jspdf").jsPDF;
-    const autoTable = require("jspdf-autotable").default || require("jspdf-autotable");
-
-    const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: "A4" });
-
-    // Header
-    doc.setFontSize(16);
-    doc.text("Jewellery Inventory Transactions", 40, 40);
-    doc.setFontSize(11);
-    doc.text(`Range: ${rangeLabel}`, 40, 60);
-
-    // --- Prepare table ---
-    const tableHead = [
-      ["SKU", "Name", "Opening", "Added", "Sold", "Closing", "Remarks", "Updated At", "Archived"],
-    ];
-    const tableBody = logs.map((t) => [
-      t.sku || "",
-      t.name || "",
-      t.openingQty ?? 0,
-      t.addedQty ?? 0,
-      t.soldQty ?? 0,
-      t.closingQty ?? 0,
-      t.remarks || "",
-      // Format date for display in IST
-      new Date(t.updatedAt).toLocaleString("en-IN", {
-        timeZone: "Asia/Kolkata",
-        dateStyle: "medium",
-        timeStyle: "short",
-      }),
-      t.archived || "No",
-    ]);
-
-    // --- Generate table ---
-    (autoTable.default || autoTable)(doc, {
-      startY: 80,
-      head: tableHead,
-      body: tableBody,
-      theme: "grid",
-      styles: { fontSize: 8, cellPadding: 4 },
-      headStyles: { fillColor: [30, 64, 175], textColor: 255, fontStyle: "bold" },
-      alternateRowStyles: { fillColor: [245, 245, 245] },
-    });
-
-    // Footer
-    const generatedAt = new Date().toLocaleString("en-IN", { timeZone: "Asia/Kolkata" });
-    doc.setFontSize(9);
-    doc.text(`Generated on: ${generatedAt}`, 40, doc.internal.pageSize.height - 20);
-
-    // --- Send PDF file ---
-    const pdfData = doc.output("arraybuffer");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename=transactions_${type || "all"}_${Date.now()}.pdf`
-    );
-    res.contentType("application/pdf");
-    res.send(Buffer.from(pdfData));
-  } catch (err) {
-    console.error("❌ PDF Export Error:", err);
-    res.status(500).json({ error: "Failed to export PDF" });
-  }
+
+// ✅ Helper: shared by the export routes (one range resolution, one dataset, any formatter)
+// ?locationId=a,b exports the transactions of those locations (users scoped to locations always get theirs)
+async function exportTransactions(req, res, format) {
+  try {
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const report = await buildReport("transactions", { ...req.query, locationIds });
+    if (!report.rows.length) return res.status(404).json({ error: "No transactions found in this range." });
+    sendReport(res, report, format);
+  } catch (err) {
+    console.error("❌ Export Error (TransactionLog)", err);
+    res.status(errorStatus(err, 500)).json({ error: err.status ? err.message : "Failed to export transaction data" });
+  }
+}
+
+// ✅ Export transactions (?type=&start=&end=&sort=asc|desc&format=xlsx|csv|json)
+router.get("/export", auth(["report.export"]), async (req, res) => {
+  await exportTransactions(req, res, req.query.format || "xlsx");
+});
+
+// ✅ Export transactions as PDF
+router.get("/export-pdf", auth(["report.export"]), async (req, res) => {
+  await exportTransactions(req, res, "pdf");
 });
 
 module.exports = router;
\ No newline at end of file
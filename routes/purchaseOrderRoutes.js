@@ -0,0 +1,196 @@
+// routes/purchaseOrderRoutes.js
+const express = require("express");
+const router = express.Router();
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Supplier = require("../models/Supplier");
+const SupplierLedgerEntry = require("../models/SupplierLedgerEntry");
+const Product = require("../models/Product");
+const Counter = require("../models/Counter");
+const auth = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { toFinancialYear } = require("../utils/businessDate");
+const { recordMovement } = require("../utils/stock");
+const { resolveLocation } = require("../utils/locations");
+const { withTransaction } = require("../utils/db");
+const { HttpError, errorStatus } = require("../utils/httpError");
+
+// ✅ Create purchase order
+// Body: { supplierId, items: [{ productId, quantity, unitCost? }], remarks? }
+router.post("/", auth(["purchase.create"]), async (req, res) => {
+  try {
+    const { supplierId, items = [], remarks = "" } = req.body;
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier || !supplier.isActive) return res.status(404).json({ error: "Supplier not found" });
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ error: "At least one item is required" });
+    }
+
+    const orderItems = [];
+    for (const item of items) {
+      const product = await Product.findById(item.productId);
+      if (!product) return res.status(404).json({ error: `Product not found: ${item.productId}` });
+      if (orderItems.some((i) => i.productId.equals(product._id))) {
+        return res.status(400).json({ error: `${product.sku} is on more than one line; order it on a single line` });
+      }
+      orderItems.push({
+        productId: product._id,
+        sku: product.sku,
+        name: product.name,
+        quantity: Number(item.quantity),
+        unitCost: Number(item.unitCost) || 0,
+      });
+    }
+
+    // Number and create together, so an order that fails validation doesn't use up a PO number
+    let order;
+    await withTransaction(async (session) => {
+      const financialYear = toFinancialYear();
+      const sequence = await Counter.next(`purchase-order:${financialYear}`, { session });
+      [order] = await PurchaseOrder.create(
+        [
+          {
+            poNumber: `PO/${financialYear}/${String(sequence).padStart(4, "0")}`,
+            supplierId: supplier._id,
+            items: orderItems,
+            remarks,
+            createdBy: req.user.id,
+          },
+        ],
+        { session }
+      );
+    });
+
+    res.status(201).json({ message: "Purchase order created successfully", order });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ List purchase orders (optionally by supplier / status)
+router.get("/", auth(["supplier.view"]), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.supplierId) filter.supplierId = req.query.supplierId;
+    if (req.query.status) filter.status = req.query.status;
+    const orders = await PurchaseOrder.find(filter)
+      .populate("supplierId", "name type")
+      .sort({ date: -1 });
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Get a single purchase order
+router.get("/:id", auth(["supplier.view"]), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id).populate("supplierId", "name type");
+    if (!order) return res.status(404).json({ error: "Purchase order not found" });
+    res.json(order);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Receive stock against an order (full or partial)
+// Body: { items: [{ productId, quantity, weight? }], locationId? } — weight is finished grams received
+router.post("/:id/receive", auth(["purchase.receive"]), idempotency(), async (req, res) => {
+  try {
+    const receipts = Array.isArray(req.body.items) ? req.body.items : [];
+    if (!receipts.length) return res.status(400).json({ error: "Nothing to receive" });
+
+    // 🔒 The order is re-read inside the transaction so concurrent receipts can't over-receive
+    let order;
+    await withTransaction(async (session) => {
+      order = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!order) throw new HttpError(404, "Purchase order not found");
+      if (["received", "cancelled"].includes(order.status)) {
+        throw new HttpError(400, `Purchase order is already ${order.status}`);
+      }
+
+      // 🧮 Validate every receipt line against what is still outstanding (one line per product, so
+      // repeats can't each pass the check and over-receive)
+      const location = await resolveLocation(req.user, req.body.locationId, { session });
+      const lines = [];
+      for (const r of receipts) {
+        const item = order.items.find((i) => i.productId.toString() === String(r.productId));
+        if (!item) throw new HttpError(400, `Product ${r.productId} is not on this order`);
+        if (lines.some((l) => l.item.productId.equals(item.productId))) {
+          throw new HttpError(400, `${item.sku} is listed more than once; send one line per product`);
+        }
+
+        const quantity = Number(r.quantity) || 0;
+        const outstanding = item.quantity - item.receivedQty;
+        if (quantity < 1 || quantity > outstanding) {
+          throw new HttpError(400, `Receive quantity for ${item.sku} must be 1–${outstanding}`);
+        }
+
+        const product = await Product.findById(item.productId).session(session);
+        if (!product) throw new HttpError(404, `Product not found: ${item.sku}`);
+        lines.push({ item, product, quantity, weight: Number(r.weight) || 0 });
+      }
+
+      for (const { item, product, quantity, weight } of lines) {
+        item.receivedQty += quantity;
+        item.receipts.push({ quantity, weight, receivedBy: req.user.id, locationId: location._id });
+
+        await recordMovement(
+          product,
+          {
+            type: "purchase",
+            quantity,
+            userId: req.user.id,
+            reason: `Received against ${order.poNumber}`,
+            reference: order.poNumber,
+            locationId: location._id,
+          },
+          { session }
+        );
+
+        // ⚖️ Finished weight goes to the supplier ledger for job-work reconciliation
+        if (weight > 0 && product.metalType && product.purity) {
+          await SupplierLedgerEntry.create(
+            [{
+              supplierId: order.supplierId,
+              type: "receipt",
+              metalType: product.metalType,
+              purity: product.purity,
+              weight,
+              purchaseOrderId: order._id,
+              remarks: `${order.poNumber} – ${item.sku} × ${quantity}`,
+              createdBy: req.user.id,
+            }],
+            { session }
+          );
+        }
+      }
+
+      order.refreshStatus();
+      await order.save({ session });
+      await req.idempotency?.commit({ session });
+    });
+
+    res.json({ message: "Stock received successfully", order });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Cancel an order that hasn't been received
+router.post("/:id/cancel", auth(["purchase.create"]), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) return res.status(404).json({ error: "Purchase order not found" });
+    if (order.status !== "open") {
+      return res.status(400).json({ error: "Only orders with nothing received can be cancelled" });
+    }
+
+    order.status = "cancelled";
+    await order.save();
+    res.json({ message: "Purchase order cancelled", order });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
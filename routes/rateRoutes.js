@@ -0,0 +1,80 @@
+// routes/rateRoutes.js
+const express = require("express");
+const router = express.Router();
+const MetalRate = require("../models/MetalRate");
+const auth = require("../middleware/auth");
+const { toDateKey, isDateKey } = require("../utils/businessDate");
+const { assertDayOpen } = require("../utils/dayClose");
+const { errorStatus } = require("../utils/httpError");
+
+// ✅ Set the day's rates
+// Body: { date?: "YYYY-MM-DD", rates: [{ metalType, purity, ratePerGram }] }
+router.post("/", auth(["rate.manage"]), async (req, res) => {
+  try {
+    const date = req.body.date || toDateKey();
+    if (!isDateKey(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    await assertDayOpen(date);
+
+    const rates = Array.isArray(req.body.rates) ? req.body.rates : [req.body];
+    const saved = [];
+
+    for (const r of rates) {
+      const rate = await MetalRate.findOne({
+        date,
+        metalType: String(r.metalType || "").toLowerCase(),
+        purity: String(r.purity || "").toUpperCase(),
+      }) || new MetalRate({
+        date,
+        metalType: String(r.metalType || "").toLowerCase(),
+        purity: String(r.purity || "").toUpperCase(),
+      });
+
+      rate.ratePerGram = Number(r.ratePerGram);
+      rate.setBy = req.user.id;
+      await rate.validate();
+      saved.push(rate);
+    }
+
+    // Validate every row first so a bad entry doesn't leave a half-posted table
+    await Promise.all(saved.map((rate) => rate.save()));
+
+    res.status(201).json({ message: "Rates saved successfully", date, rates: saved });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Effective rates for a date (defaults to the current business day)
+router.get("/", auth(["rate.view"]), async (req, res) => {
+  try {
+    const date = req.query.date || toDateKey();
+    if (!isDateKey(date)) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+
+    const rates = await MetalRate.getEffectiveRates(date);
+    res.json({ date, rates: Object.values(rates) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Rate history (optionally filtered by metal / purity / date range)
+router.get("/history", auth(["rate.view"]), async (req, res) => {
+  try {
+    const { metalType, purity, from, to } = req.query;
+    const filter = {};
+    if (metalType) filter.metalType = String(metalType).toLowerCase();
+    if (purity) filter.purity = String(purity).toUpperCase();
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = from;
+      if (to) filter.date.$lte = to;
+    }
+
+    const history = await MetalRate.find(filter).sort({ date: -1, metalType: 1, purity: 1 });
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// routes/reportRoutes.js
+const express = require("express");
+const router = express.Router();
+const ReportDefinition = require("../models/ReportDefinition");
+const auth = require("../middleware/auth");
+const { REPORTS, buildReport } = require("../utils/reports");
+const { FORMATTERS, sendReport } = require("../utils/exporters");
+const { resolveDateRange } = require("../utils/dateRange");
+const { runDefinition } = require("../utils/reportScheduler");
+const { toDateKey } = require("../utils/businessDate");
+const { HttpError, errorStatus } = require("../utils/httpError");
+const { snapshot } = require("../utils/diff");
+const { readLocationIds } = require("../utils/locations");
+
+const EDITABLE_FIELDS = ["name", "report", "format", "params", "schedule", "delivery", "isActive"];
+
+// ✅ Helper: pick & check definition fields from a request body
+// A saved location filter must be within the user's scope; scoped users always save their own locations.
+function pickDefinitionFields(body = {}, user) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) fields[f] = body[f];
+  });
+  if (fields.report !== undefined && !REPORTS[fields.report]) {
+    throw new HttpError(400, `Unknown report "${fields.report}"`);
+  }
+  if (fields.params) resolveDateRange(fields.params); // rejects a bad range vocabulary up front
+  if (fields.params) {
+    const locationIds = readLocationIds(user, fields.params.locationId);
+    fields.params = { ...fields.params, locationId: locationIds ? locationIds.join(",") : undefined };
+  }
+  return fields;
+}
+
+// ✅ Available reports and formats
+router.get("/", auth(["report.view"]), (req, res) => {
+  res.json({
+    reports: Object.entries(REPORTS).map(([name, r]) => ({ name, description: r.description })),
+    formats: Object.keys(FORMATTERS),
+  });
+});
+
+// ✅ Saved report definitions
+router.get("/definitions", auth(["report.schedule"]), async (req, res) => {
+  try {
+    const definitions = await ReportDefinition.find().sort({ name: 1 });
+    res.json(definitions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Save a definition
+// Body: { name, report, format, params: { type, start, end, locationId }, schedule: { frequency, hour, dayOfMonth },
+//         delivery: { mode: "file"|"outbox", channels } }
+router.post("/definitions", auth(["report.schedule"]), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.create({ ...pickDefinitionFields(req.body, req.user), createdBy: req.user.id });
+    req.audit.after = definition;
+    res.status(201).json({ message: "Report definition saved", definition });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "A report definition with this name already exists" });
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Update a definition
+router.put("/definitions/:id", auth(["report.schedule"]), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findById(req.params.id);
+    if (!definition) return res.status(404).json({ error: "Report definition not found" });
+
+    req.audit.before = snapshot(definition);
+    definition.set(pickDefinitionFields(req.body, req.user));
+    await definition.save();
+    req.audit.after = definition;
+    res.json({ message: "Report definition updated", definition });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "A report definition with this name already exists" });
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Delete a definition
+router.delete("/definitions/:id", auth(["report.schedule"]), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findByIdAndDelete(req.params.id);
+    if (!definition) return res.status(404).json({ error: "Report definition not found" });
+    req.audit.before = snapshot(definition);
+    res.json({ message: "Report definition deleted" });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Run a definition now (outside its schedule); the file is written and delivered as configured
+router.post("/definitions/:id/run", auth(["report.schedule"]), async (req, res) => {
+  try {
+    const definition = await ReportDefinition.findById(req.params.id);
+    if (!definition) return res.status(404).json({ error: "Report definition not found" });
+
+    const file = await runDefinition(definition, `${toDateKey()}-manual-${Date.now()}`);
+    res.json({ message: "Report generated", file });
+  } catch (err) {
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+// ✅ Run a report on demand: /api/reports/transactions?format=csv&type=this_month (&locationId= for stock)
+router.get("/:name", auth(["report.export"]), async (req, res) => {
+  try {
+    const locationIds = readLocationIds(req.user, req.query.locationId);
+    const report = await buildReport(req.params.name, { ...req.query, locationIds });
+    sendReport(res, report, req.query.format || "xlsx");
+  } catch (err) {
+    console.error("❌ Report Error:", err);
+    res.status(errorStatus(err, 500)).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// routes/roleRoutes.js
+const express = require("express");
+const router = express.Router();
+const Role = require("../models/Role");
+const User = require("../models/User");
+const auth = require("../middleware/auth");
+const { PERMISSIONS, clearRoleCache } = require("../utils/permissions");
+const { snapshot } = require("../utils/diff");
+
+// ✅ Helper: reject permissions that aren't in the catalogue
+function invalidPermissions(permissions) {
+  return permissions.filter((p) => p !== "*" && !PERMISSIONS[p]);
+}
+
+// ✅ Permission catalogue
+router.get("/permissions", auth(["role.manage"]), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// ✅ List roles
+router.get("/", auth(["role.manage"]), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    res.json(roles);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Create a role
+// Body: { name, description?, permissions: [] }
+router.post("/", auth(["role.manage"]), async (req, res) => {
+  try {
+    const permissions = Array.isArray(req.body.permissions) ? req.body.permissions : [];
+    const invalid = invalidPermissions(permissions);
+    if (invalid.length) return res.status(400).json({ error: `Unknown permissions: ${invalid.join(", ")}` });
+
+    const role = await Role.create({
+      name: req.body.name,
+      description: req.body.description || "",
+      permissions,
+    });
+    res.status(201).json({ message: "Role created successfully", role });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "Role already exists" });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Update a role's description / permissions (admin always keeps full access)
+router.put("/:name", auth(["role.manage"]), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) return res.status(404).json({ error: "Role not found" });
+    req.audit.targetId = role.name;
+    req.audit.before = snapshot(role);
+
+    if (req.body.permissions !== undefined) {
+      if (role.name === "admin") {
+        return res.status(400).json({ error: "The admin role's permissions cannot be changed" });
+      }
+      const permissions = Array.isArray(req.body.permissions) ? req.body.permissions : [];
+      const invalid = invalidPermissions(permissions);
+      if (invalid.length) return res.status(400).json({ error: `Unknown permissions: ${invalid.join(", ")}` });
+      role.permissions = permissions;
+    }
+    if (req.body.description !== undefined) role.description = req.body.description;
+
+    await role.save();
+    clearRoleCache();
+    req.audit.after = role;
+    res.json({ message: "Role updated successfully", role });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Delete a custom role that no user holds
+router.delete("/:name", auth(["role.manage"]), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) return res.status(404).json({ error: "Role not found" });
+    if (role.builtIn) return res.status(400).json({ error: "Built-in roles cannot be deleted" });
+    req.audit.targetId = role.name;
+    req.audit.before = snapshot(role);
+
+    const inUse = await User.countDocuments({ role: role.name });
+    if (inUse) return res.status(400).json({ error: `Role is assigned to ${inUse} user(s)` });
+
+    await role.deleteOne();
+    clearRoleCache();
+    res.json({ message: "Role deleted" });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
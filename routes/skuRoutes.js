@@ -0,0 +1,97 @@
+// routes/skuRoutes.js
+const express = require("express");
+const router = express.Router();
+const Product = require("../models/Product");
+const TransactionLog = require("../models/TransactionLog");
+const auth = require("../middleware/auth");
+const { withTransaction } = require("../utils/db");
+const { errorStatus } = require("../utils/httpError");
+const { readCategoryId } = require("../utils/categories");
+const {
+  DEFAULT_PATTERN, getPattern, validatePattern, patternRegex, generateSku, previewSku,
+} = require("../utils/sku");
+
+// ✅ Current SKU pattern
+router.get("/pattern", auth(["sku.manage"]), (req, res) => {
+  res.json({
+    pattern: getPattern(),
+    default: DEFAULT_PATTERN,
+    tokens: ["{NAME}", "{METAL}", "{PURITY}", "{CATEGORY}", "{YYYY}", "{YY}", "{SEQ}", "{SEQ:n}"],
+  });
+});
+
+// ✅ Preview the next SKU for a sample product (does not consume a number)
+// Body: { pattern?, name, metalType?, purity?, categoryId? (id or code) }
+router.post("/preview", auth(["sku.manage"]), async (req, res) => {
+  try {
+    const pattern = req.body.pattern || getPattern();
+    const invalid = validatePattern(pattern);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const sample = {
+      name: req.body.name || "Sample",
+      metalType: req.body.metalType && String(req.body.metalType).toLowerCase(),
+      purity: req.body.purity && String(req.body.purity).toUpperCase(),
+      categoryId: req.body.categoryId ? await readCategoryId(req.body.categoryId) : undefined,
+    };
+    res.json({ pattern, sku: await previewSku(sample, { pattern }) });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Re-key legacy SKUs: anything not matching the pattern, plus duplicates (oldest copy keeps its SKU)
+// Body: { pattern?, dryRun = true }
+router.post("/rekey", auth(["sku.manage"]), async (req, res) => {
+  try {
+    const pattern = req.body.pattern || getPattern();
+    const invalid = validatePattern(pattern);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const dryRun = req.body.dryRun !== false;
+
+    const regex = patternRegex(pattern);
+    const products = await Product.find().sort({ createdAt: 1, _id: 1 });
+    const seen = new Set();
+    const targets = products.filter((p) => {
+      const duplicate = p.sku && seen.has(p.sku);
+      if (p.sku) seen.add(p.sku);
+      return !p.sku || duplicate || !regex.test(p.sku);
+    });
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        pattern,
+        count: targets.length,
+        products: targets.map((p) => ({ _id: p._id, name: p.name, sku: p.sku || null })),
+      });
+    }
+
+    const changes = [];
+    await withTransaction(async (session) => {
+      changes.length = 0;
+      for (const product of targets) {
+        const oldSku = product.sku;
+        const newSku = await generateSku(product, { session, pattern });
+
+        if (oldSku) product.legacySkus = [...(product.legacySkus || []), oldSku];
+        product.sku = newSku;
+        await product.save({ session });
+        // Closed days keep the SKU they were closed under
+        await TransactionLog.updateMany(
+          { productId: product._id, locked: { $ne: true } },
+          { $set: { sku: newSku } },
+          { session }
+        );
+
+        changes.push({ _id: product._id, name: product.name, oldSku: oldSku || null, newSku });
+      }
+    });
+
+    res.json({ message: `${changes.length} SKUs re-keyed`, pattern, changes });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+// routes/supplierRoutes.js
+const express = require("express");
+const router = express.Router();
+const Supplier = require("../models/Supplier");
+const SupplierLedgerEntry = require("../models/SupplierLedgerEntry");
+const Product = require("../models/Product");
+const auth = require("../middleware/auth");
+const { snapshot } = require("../utils/diff");
+
+const EDITABLE_FIELDS = ["name", "type", "phone", "address", "gstin", "wastageAllowancePercent", "isActive"];
+
+function pickSupplierFields(body = {}) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) fields[f] = body[f];
+  });
+  return fields;
+}
+
+// ✅ Create supplier / karigar
+router.post("/", auth(["supplier.manage"]), async (req, res) => {
+  try {
+    const supplier = await Supplier.create(pickSupplierFields(req.body));
+    res.status(201).json({ message: "Supplier added successfully", supplier });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ List suppliers (optionally by type)
+router.get("/", auth(["supplier.view"]), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.active !== undefined) filter.isActive = req.query.active !== "false";
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    res.json(suppliers);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Get a single supplier
+router.get("/:id", auth(["supplier.view"]), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ error: "Supplier not found" });
+    res.json(supplier);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Update supplier
+router.put("/:id", auth(["supplier.manage"]), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ error: "Supplier not found" });
+    req.audit.before = snapshot(supplier);
+    supplier.set(pickSupplierFields(req.body));
+    await supplier.save();
+    req.audit.after = supplier;
+    res.json({ message: "Supplier updated successfully", supplier });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Issue metal to a karigar for job work
+// Body: { metalType, purity, weight, remarks? }
+router.post("/:id/issues", auth(["supplier.issue"]), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ error: "Supplier not found" });
+
+    const entry = new SupplierLedgerEntry({
+      supplierId: supplier._id,
+      type: "issue",
+      metalType: String(req.body.metalType || "").toLowerCase(),
+      purity: String(req.body.purity || "").toUpperCase(),
+      weight: Number(req.body.weight),
+      remarks: req.body.remarks || "",
+      createdBy: req.user.id,
+    });
+    if (!(Product.PURITIES[entry.metalType] || []).includes(entry.purity)) {
+      return res.status(400).json({ error: "Invalid purity for the selected metal" });
+    }
+    await entry.save();
+
+    res.status(201).json({ message: "Metal issue recorded", entry });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Supplier ledger: metal issued vs finished weight received, with job-work wastage
+router.get("/:id/ledger", auth(["supplier.view"]), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ error: "Supplier not found" });
+
+    const entries = await SupplierLedgerEntry.find({ supplierId: supplier._id }).sort({ date: 1 });
+
+    // Reconcile per metal in fine grams so different purities compare fairly
+    const round3 = (n) => Math.round(n * 1000) / 1000;
+    const byMetal = {};
+    entries.forEach((e) => {
+      if (!byMetal[e.metalType]) {
+        byMetal[e.metalType] = { metalType: e.metalType, issuedFine: 0, receivedFine: 0 };
+      }
+      const fine = e.weight * (Product.FINENESS[e.purity] || 1);
+      if (e.type === "issue") byMetal[e.metalType].issuedFine += fine;
+      else byMetal[e.metalType].receivedFine += fine;
+    });
+
+    // Wastage = issued − received; includes any work still in progress with the karigar
+    const reconciliation = Object.values(byMetal).map((m) => {
+      const wastage = m.issuedFine - m.receivedFine;
+      const wastagePercent = m.issuedFine ? (wastage / m.issuedFine) * 100 : 0;
+      return {
+        metalType: m.metalType,
+        issuedFine: round3(m.issuedFine),
+        receivedFine: round3(m.receivedFine),
+        wastage: round3(wastage),
+        wastagePercent: Math.round(wastagePercent * 100) / 100,
+        withinAllowance: wastagePercent <= supplier.wastageAllowancePercent,
+      };
+    });
+
+    res.json({ supplier, entries, reconciliation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
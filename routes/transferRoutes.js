@@ -0,0 +1,233 @@
+// routes/transferRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const StockTransfer = require("../models/StockTransfer");
+const Location = require("../models/Location");
+const Product = require("../models/Product");
+const Counter = require("../models/Counter");
+const auth = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { recordMovement } = require("../utils/stock");
+const { withTransaction } = require("../utils/db");
+const { HttpError, errorStatus } = require("../utils/httpError");
+const { resolveLocation, canUseLocation, locationScope } = require("../utils/locations");
+const { snapshot } = require("../utils/diff");
+
+// ✅ Helper: post one ledger movement per transfer line (negative out of, positive into `locationId`)
+async function moveItems(transfer, { sign, locationId, userId, reason }, { session }) {
+  for (const item of transfer.items) {
+    const product = await Product.findById(item.productId).session(session);
+    if (!product) throw new HttpError(404, `Product not found: ${item.sku}`);
+    await recordMovement(
+      product,
+      {
+        type: "transfer",
+        quantity: sign * item.quantity,
+        userId,
+        reason,
+        reference: transfer.transferNo,
+        locationId,
+      },
+      { session }
+    );
+  }
+}
+
+// ✅ Helper: re-read an in-transit transfer inside the transaction
+async function openTransfer(id, { session }) {
+  const transfer = await StockTransfer.findById(id).session(session);
+  if (!transfer) throw new HttpError(404, "Transfer not found");
+  if (transfer.status !== "in_transit") throw new HttpError(400, `Transfer is already ${transfer.status}`);
+  return transfer;
+}
+
+// ✅ Dispatch stock from one location to another (step 1: it leaves the source and is in transit)
+// Body: { fromLocationId?, toLocationId, items: [{ productId | sku, quantity }], remarks? }
+router.post("/", auth(["stock.transfer"]), idempotency(), async (req, res) => {
+  try {
+    const lines = Array.isArray(req.body.items) ? req.body.items : [];
+    if (!lines.length) return res.status(400).json({ error: "Nothing to transfer" });
+    if (!mongoose.isValidObjectId(req.body.toLocationId)) {
+      return res.status(400).json({ error: "toLocationId is required" });
+    }
+
+    let transfer;
+    await withTransaction(async (session) => {
+      const from = await resolveLocation(req.user, req.body.fromLocationId, { session });
+      const to = await Location.findById(req.body.toLocationId).session(session);
+      if (!to || !to.isActive) throw new HttpError(404, "Destination location not found");
+      if (to._id.equals(from._id)) throw new HttpError(400, "Source and destination must differ");
+
+      const items = [];
+      for (const line of lines) {
+        const product = line.productId
+          ? await Product.findById(line.productId).session(session)
+          : await Product.findOne({ sku: String(line.sku || "").toUpperCase() }).session(session);
+        if (!product) throw new HttpError(404, `Product not found: ${line.productId || line.sku}`);
+        const quantity = Number(line.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          throw new HttpError(400, `Transfer quantity for ${product.sku} must be a whole number of at least 1`);
+        }
+        items.push({ productId: product._id, sku: product.sku, name: product.name, quantity });
+      }
+
+      const sequence = await Counter.next("transfer", { session });
+      [transfer] = await StockTransfer.create(
+        [{
+          transferNo: `TRF-${String(sequence).padStart(4, "0")}`,
+          fromLocationId: from._id,
+          toLocationId: to._id,
+          items,
+          dispatchedBy: req.user.id,
+          remarks: req.body.remarks || "",
+        }],
+        { session }
+      );
+      await moveItems(
+        transfer,
+        { sign: -1, locationId: from._id, userId: req.user.id, reason: `Dispatched to ${to.code}` },
+        { session }
+      );
+      await req.idempotency?.commit({ session });
+    });
+
+    req.audit.after = transfer;
+    res.status(201).json({ message: "Transfer dispatched", transfer });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ List transfers (?status=in_transit|received|cancelled &locationId= either end)
+// Users scoped to locations only see transfers touching their locations.
+router.get("/", auth(["product.view"]), async (req, res) => {
+  try {
+    const clauses = [];
+    if (req.query.status) clauses.push({ status: req.query.status });
+    if (req.query.locationId) {
+      clauses.push({ $or: [{ fromLocationId: req.query.locationId }, { toLocationId: req.query.locationId }] });
+    }
+    const scope = locationScope(req.user);
+    if (scope) clauses.push({ $or: [{ fromLocationId: { $in: scope } }, { toLocationId: { $in: scope } }] });
+
+    const transfers = await StockTransfer.find(clauses.length ? { $and: clauses } : {})
+      .populate("fromLocationId toLocationId", "code name")
+      .sort({ dispatchedAt: -1 });
+    res.json(transfers);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Stock in transit: pieces per product dispatched but not yet received
+router.get("/in-transit", auth(["product.view"]), async (req, res) => {
+  try {
+    const match = { status: "in_transit" };
+    const scope = locationScope(req.user);
+    if (scope) {
+      const ids = scope.map((id) => new mongoose.Types.ObjectId(id));
+      match.$or = [{ fromLocationId: { $in: ids } }, { toLocationId: { $in: ids } }];
+    }
+
+    const items = await StockTransfer.aggregate([
+      { $match: match },
+      { $unwind: "$items" },
+      {
+        $group: {
+          _id: "$items.productId",
+          sku: { $first: "$items.sku" },
+          name: { $first: "$items.name" },
+          quantity: { $sum: "$items.quantity" },
+          transfers: { $addToSet: "$transferNo" },
+        },
+      },
+      { $project: { _id: 0, productId: "$_id", sku: 1, name: 1, quantity: 1, transfers: 1 } },
+      { $sort: { sku: 1 } },
+    ]);
+    res.json({ items, pieces: items.reduce((sum, i) => sum + i.quantity, 0) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Get a single transfer (users scoped to locations only see transfers touching their locations)
+router.get("/:id", auth(["product.view"]), async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findById(req.params.id).populate("fromLocationId toLocationId", "code name");
+    if (!transfer) return res.status(404).json({ error: "Transfer not found" });
+    if (!canUseLocation(req.user, transfer.fromLocationId?._id) && !canUseLocation(req.user, transfer.toLocationId?._id)) {
+      return res.status(403).json({ error: "You are not assigned to either location of this transfer" });
+    }
+    res.json(transfer);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Receive a transfer at its destination (step 2: the stock enters the destination)
+router.post("/:id/receive", auth(["stock.transfer"]), idempotency(), async (req, res) => {
+  try {
+    let transfer;
+    await withTransaction(async (session) => {
+      transfer = await openTransfer(req.params.id, { session });
+      if (!canUseLocation(req.user, transfer.toLocationId)) {
+        throw new HttpError(403, "Only staff at the destination can receive this transfer");
+      }
+      req.audit.before = snapshot(transfer);
+
+      await moveItems(
+        transfer,
+        { sign: 1, locationId: transfer.toLocationId, userId: req.user.id, reason: "Transfer received" },
+        { session }
+      );
+      transfer.status = "received";
+      transfer.receivedBy = req.user.id;
+      transfer.receivedAt = new Date();
+      await transfer.save({ session });
+      await req.idempotency?.commit({ session });
+    });
+
+    req.audit.after = transfer;
+    res.json({ message: "Transfer received", transfer });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// ✅ Cancel a transfer still in transit; the stock returns to the source
+router.post("/:id/cancel", auth(["stock.transfer"]), idempotency(), async (req, res) => {
+  try {
+    let transfer;
+    await withTransaction(async (session) => {
+      transfer = await openTransfer(req.params.id, { session });
+      if (!canUseLocation(req.user, transfer.fromLocationId)) {
+        throw new HttpError(403, "Only staff at the source can cancel this transfer");
+      }
+      req.audit.before = snapshot(transfer);
+
+      await moveItems(
+        transfer,
+        {
+          sign: 1,
+          locationId: transfer.fromLocationId,
+          userId: req.user.id,
+          reason: `Transfer cancelled${req.body?.reason ? `: ${req.body.reason}` : ""}`,
+        },
+        { session }
+      );
+      transfer.status = "cancelled";
+      transfer.cancelledBy = req.user.id;
+      transfer.cancelledAt = new Date();
+      await transfer.save({ session });
+      await req.idempotency?.commit({ session });
+    });
+
+    req.audit.after = transfer;
+    res.json({ message: "Transfer cancelled and stock returned", transfer });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+// routes/userRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Location = require("../models/Location");
+const auth = require("../middleware/auth");
+const { passwordProblem } = require("../utils/password");
+const { throttleKeys, clearFailures } = require("../utils/loginThrottle");
+const { snapshot } = require("../utils/diff");
+
+// ✅ Helper: refuse changes that would leave no active admin
+async function isLastActiveAdmin(user) {
+  if (user.role !== "admin" || !user.isActive) return false;
+  const admins = await User.countDocuments({ role: "admin", isActive: true });
+  return admins <= 1;
+}
+
+// ✅ Helper: validate the locations a user is limited to (empty = every location)
+async function readLocations(locations) {
+  const ids = Array.isArray(locations) ? [...new Set(locations.map(String))] : [];
+  const found = await Location.countDocuments({ _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) } });
+  if (found !== ids.length) throw new Error("One or more locations do not exist");
+  return ids;
+}
+
+// ✅ List users
+router.get("/", auth(["user.manage"]), async (req, res) => {
+  try {
+    const users = await User.find().select("-password").sort({ username: 1 });
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ Create a staff/admin user
+// Body: { username, password, role?, locations?: [locationId] } — locations limit the user to those places
+router.post("/", auth(["user.manage"]), async (req, res) => {
+  try {
+    const { username, password, role = "staff" } = req.body;
+    if (!username) return res.status(400).json({ error: "Username is required" });
+    const weak = passwordProblem(password, username);
+    if (weak) return res.status(400).json({ error: weak });
+    if (!(await Role.exists({ name: role }))) return res.status(400).json({ error: `Unknown role: ${role}` });
+
+    const locations = await readLocations(req.body.locations);
+
+    const user = await User.create({ username, password, role, locations });
+    res.status(201).json({ message: "User created successfully", user });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "Username already exists" });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Update role / active flag / locations
+router.put("/:id", auth(["user.manage"]), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    req.audit.before = snapshot(user);
+    const { role, isActive } = req.body;
+    if (role !== undefined && !(await Role.exists({ name: role }))) {
+      return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
+    const demoting = role !== undefined && role !== user.role;
+    const disabling = isActive === false && user.isActive;
+    if ((demoting || disabling) && (await isLastActiveAdmin(user))) {
+      return res.status(400).json({ error: "At least one active admin is required" });
+    }
+    if (disabling && user._id.toString() === req.user.id) {
+      return res.status(400).json({ error: "You cannot disable your own account" });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = Boolean(isActive);
+    if (req.body.locations !== undefined) user.locations = await readLocations(req.body.locations);
+    await user.save();
+    req.audit.after = user;
+
+    res.json({ message: "User updated successfully", user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Reset a user's password
+router.post("/:id/reset-password", auth(["user.manage"]), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const weak = passwordProblem(req.body.password, user.username);
+    if (weak) return res.status(400).json({ error: weak });
+
+    user.password = req.body.password;
+    await user.save();
+    res.json({ message: "Password reset successfully" });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Lift a login lockout early
+router.post("/:id/unlock", auth(["user.manage"]), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    await clearFailures([throttleKeys(user.username)[0]]);
+    res.json({ message: "Login lockout cleared" });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ Deactivate a user who has left (the account is kept for history)
+router.delete("/:id", auth(["user.manage"]), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({ error: "You cannot disable your own account" });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ error: "At least one active admin is required" });
+    }
+
+    req.audit.before = snapshot(user);
+    user.isActive = false;
+    await user.save();
+    req.audit.after = user;
+    res.json({ message: "User deactivated", user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,43 @@
 // seedAdmin.js
+// Usage: ADMIN_USERNAME=owner ADMIN_PASSWORD='…' npm run seed:admin [-- --reset-password]
 require("dotenv").config();
 const mongoose = require("mongoose");
 const User = require("./models/User");
+const { passwordProblem } = require("./utils/password");
+const { ensureDefaultRoles } = require("./utils/permissions");
 
 (async () => {
   try {
-    console.log("🔄 Connecting to MongoDB...");
-    await mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    const resetPassword = process.argv.includes("--reset-password");
 
-    console.log("✅ Connected to MongoDB");
+    if (!username || !password) {
+      console.error("❌ Set ADMIN_USERNAME and ADMIN_PASSWORD in the environment.");
+      process.exit(1);
+    }
+    const weak = passwordProblem(password, username);
+    if (weak) {
+      console.error(`❌ Refusing weak admin password: ${weak}`);
+      process.exit(1);
+    }
 
-    const username = "admin";
-    const password = "admin123";
+    console.log("🔄 Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+    await ensureDefaultRoles();
 
     let admin = await User.findOne({ username });
     if (admin) {
-      console.log("⚠️ Admin already exists. Updating password...");
-      admin.password = password; // triggers pre-save hook -> hashes automatically
-      await admin.save();
-      console.log("✅ Admin password updated successfully!");
+      if (!resetPassword) {
+        console.log("⚠️ User already exists. Re-run with --reset-password to update its password.");
+      } else {
+        admin.password = password; // triggers pre-save hook -> hashes automatically
+        admin.role = "admin";
+        admin.isActive = true;
+        await admin.save();
+        console.log("✅ Admin password updated successfully!");
+      }
     } else {
       console.log("🆕 Creating new admin user...");
       admin = await User.create({ username, password, role: "admin" });
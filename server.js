@@ -2,6 +2,8 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const multer = require('multer');
+const { HttpError, errorStatus } = require('./utils/httpError');
 
 const app = express();
 
@@ -17,7 +19,7 @@ app.use(cors({
     if (!origin || allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      callback(new Error('Not allowed by CORS'));
+      callback(new HttpError(403, 'Not allowed by CORS'));
     }
   },
   methods: "GET,HEAD,PUT,PATCH,POST,DELETE",
@@ -26,6 +28,13 @@ app.use(cors({
 
 app.use(express.json());
 
+// Behind a reverse proxy (Render, Nginx …) set TRUST_PROXY=1 so req.ip is the real client
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+// ✅ Audit trail of every write request 🕵️
+const auditTrail = require('./middleware/auditTrail');
+app.use(auditTrail());
+
 // ✅ Health check route
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Jewelry Inventory API is running!' });
@@ -39,9 +48,104 @@ app.use('/api/products', productRoutes);
 const authRoutes = require('./routes/authRoutes');
 app.use('/api/auth', authRoutes);
 
+// ✅ Metal Rate Routes
+const rateRoutes = require('./routes/rateRoutes');
+app.use('/api/rates', rateRoutes);
+
+// ✅ Invoice Routes
+const invoiceRoutes = require('./routes/invoiceRoutes');
+app.use('/api/invoices', invoiceRoutes);
+
+// ✅ Customer Routes
+const customerRoutes = require('./routes/customerRoutes');
+app.use('/api/customers', customerRoutes);
+
+// ✅ Supplier & Purchase Order Routes
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+
+// ✅ Stock Audit Routes
+const auditRoutes = require('./routes/auditRoutes');
+app.use('/api/audits', auditRoutes);
+
+// ✅ SKU Admin Routes
+const skuRoutes = require('./routes/skuRoutes');
+app.use('/api/sku', skuRoutes);
+
+// ✅ Label Printing Routes
+const labelRoutes = require('./routes/labelRoutes');
+app.use('/api/labels', labelRoutes);
+
+// ✅ User Management Routes (admin)
+const userRoutes = require('./routes/userRoutes');
+app.use('/api/users', userRoutes);
+
+// ✅ Role & Permission Routes
+const roleRoutes = require('./routes/roleRoutes');
+app.use('/api/roles', roleRoutes);
+
+// ✅ Sales & Stock Analytics Routes 📈
+const analyticsRoutes = require('./routes/analyticsRoutes');
+app.use('/api/analytics', analyticsRoutes);
+
+// ✅ Report Engine Routes (on-demand + scheduled) 🗂️
+const reportRoutes = require('./routes/reportRoutes');
+app.use('/api/reports', reportRoutes);
+
+// ✅ Day Close & Stock Register Routes 📕
+const dayCloseRoutes = require('./routes/dayCloseRoutes');
+app.use('/api/day-close', dayCloseRoutes);
+
+// ✅ Low-stock Alert & Notification Routes 🔔
+const alertRoutes = require('./routes/alertRoutes');
+app.use('/api/alerts', alertRoutes);
+
+// ✅ Audit Log Routes (admin)
+const auditLogRoutes = require('./routes/auditLogRoutes');
+app.use('/api/audit-logs', auditLogRoutes);
+
+// ✅ Public Catalogue (read-only, rate-limited) 🌐
+const catalogueRoutes = require('./routes/catalogueRoutes');
+app.use('/api/catalogue', catalogueRoutes);
+
+// ✅ Locations & Stock Transfers 🏬
+const locationRoutes = require('./routes/locationRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
+
+// ✅ Product Categories & Collections 🗂️
+const categoryRoutes = require('./routes/categoryRoutes');
+app.use('/api/categories', categoryRoutes);
+
+// ✅ JSON errors for anything a route didn't answer itself (uploads, bad JSON bodies, CORS) ⚠️
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  let status = errorStatus(err, 500);
+  if (err instanceof multer.MulterError) status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  if (status >= 500) console.error('❌ Unhandled error:', err);
+  res.status(status).json({ error: status >= 500 ? 'Something went wrong' : err.message });
+});
+
 // ✅ MongoDB connection
+const { ensureDefaultRoles } = require('./utils/permissions');
+const { ensureDefaultLocation } = require('./utils/locations');
+const { ensureSkuIndex } = require('./utils/sku');
+const { startOutboxWorker } = require('./utils/notify');
+const { startDigestScheduler } = require('./utils/stockAlerts');
+const { startReportScheduler } = require('./utils/reportScheduler');
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => console.log('✅ Connected to MongoDB'))
+  .then(() => ensureDefaultRoles())
+  .then(() => ensureDefaultLocation())
+  .then(() => ensureSkuIndex()) // re-keys duplicate SKUs before the unique sku index is built
+  .then(() => {
+    startOutboxWorker();
+    startDigestScheduler();
+    startReportScheduler();
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // ✅ Start server
@@ -0,0 +1,165 @@
+// test/businessDate.test.js
+// Business-day maths around midnight, the cutoff, non-IST zones and month / financial-year rollovers.
+// SHOP_TIMEZONE and BUSINESS_DAY_CUTOFF are read at load time, so each scenario re-requires the modules.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const MODULES = ["../utils/businessDate", "../utils/dateRange"].map((m) => require.resolve(m));
+
+function load({ timezone, cutoff } = {}) {
+  const saved = { tz: process.env.SHOP_TIMEZONE, cutoff: process.env.BUSINESS_DAY_CUTOFF };
+  if (timezone) process.env.SHOP_TIMEZONE = timezone;
+  else delete process.env.SHOP_TIMEZONE;
+  if (cutoff) process.env.BUSINESS_DAY_CUTOFF = cutoff;
+  else delete process.env.BUSINESS_DAY_CUTOFF;
+  MODULES.forEach((m) => delete require.cache[m]);
+  try {
+    return { ...require("../utils/businessDate"), ...require("../utils/dateRange") };
+  } finally {
+    if (saved.tz === undefined) delete process.env.SHOP_TIMEZONE;
+    else process.env.SHOP_TIMEZONE = saved.tz;
+    if (saved.cutoff === undefined) delete process.env.BUSINESS_DAY_CUTOFF;
+    else process.env.BUSINESS_DAY_CUTOFF = saved.cutoff;
+  }
+}
+
+// What MongoDB would produce for { $dateToString: { format: "%Y-%m-%d", ...businessDateExpr(field) } }
+function evaluateExpr(bd, instant) {
+  const { date, timezone } = bd.businessDateExpr("$date");
+  const shifted = date === "$date" ? instant : new Date(instant.getTime() + date.$add[1]);
+  return new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(shifted);
+}
+
+test.describe("default zone (Asia/Kolkata, midnight cutoff)", () => {
+  const bd = load();
+
+  test("23:59 and 00:01 IST fall on consecutive days", () => {
+    assert.equal(bd.toDateKey(new Date("2025-03-10T18:29:00Z")), "2025-03-10"); // 23:59 IST
+    assert.equal(bd.toDateKey(new Date("2025-03-10T18:31:00Z")), "2025-03-11"); // 00:01 IST
+  });
+
+  test("businessDateExpr groups like toDateKey", () => {
+    assert.deepEqual(bd.businessDateExpr("$date"), { date: "$date", timezone: "Asia/Kolkata" });
+    ["2025-03-10T18:29:00Z", "2025-03-10T18:31:00Z"].forEach((iso) => {
+      assert.equal(evaluateExpr(bd, new Date(iso)), bd.toDateKey(new Date(iso)));
+    });
+  });
+
+  test("dayBounds spans local midnight to midnight", () => {
+    const { start, end } = bd.dayBounds("2025-03-11");
+    assert.equal(start.toISOString(), "2025-03-10T18:30:00.000Z");
+    assert.equal(end.toISOString(), "2025-03-11T18:29:59.999Z");
+  });
+
+  test("month rollover: this_month at 00:01 on the 1st starts that day", () => {
+    const now = new Date("2025-03-31T18:31:00Z"); // 00:01 IST on 1 April
+    const { startDate, endDate } = bd.resolveDateRange({ type: "this_month" }, now);
+    assert.equal(startDate.toISOString(), "2025-03-31T18:30:00.000Z");
+    assert.equal(endDate, now);
+  });
+
+  test("yesterday at 00:01 on the 1st is the last day of the previous month", () => {
+    const now = new Date("2025-03-31T18:31:00Z");
+    const { startDate, endDate } = bd.resolveDateRange({ type: "yesterday" }, now);
+    assert.equal(startDate.toISOString(), "2025-03-30T18:30:00.000Z");
+    assert.equal(endDate.toISOString(), "2025-03-31T18:29:59.999Z");
+  });
+
+  test("financial year turns over at local midnight on 1 April", () => {
+    assert.equal(bd.toFinancialYear(new Date("2025-03-31T18:29:00Z")), "2024-25"); // 23:59 IST, 31 Mar
+    assert.equal(bd.toFinancialYear(new Date("2025-03-31T18:31:00Z")), "2025-26"); // 00:01 IST, 1 Apr
+  });
+
+  test("custom ranges cover whole business days and reject bad input", () => {
+    const { startDate, endDate } = bd.resolveDateRange({ type: "custom", start: "2025-01-31", end: "2025-02-01" });
+    assert.equal(startDate.toISOString(), "2025-01-30T18:30:00.000Z");
+    assert.equal(endDate.toISOString(), "2025-02-01T18:29:59.999Z");
+    assert.throws(() => bd.resolveDateRange({ type: "custom", start: "2025-02-30", end: "2025-03-01" }), {
+      status: 400,
+    });
+  });
+});
+
+test.describe("21:00 cutoff", () => {
+  const bd = load({ cutoff: "21:00" });
+
+  test("sales after the cutoff belong to the next business day", () => {
+    assert.equal(bd.toDateKey(new Date("2025-03-10T15:29:00Z")), "2025-03-10"); // 20:59 IST
+    assert.equal(bd.toDateKey(new Date("2025-03-10T15:31:00Z")), "2025-03-11"); // 21:01 IST
+    assert.equal(bd.toDateKey(new Date("2025-03-10T18:29:00Z")), "2025-03-11"); // 23:59 IST
+    assert.equal(bd.toDateKey(new Date("2025-03-10T18:31:00Z")), "2025-03-11"); // 00:01 IST
+  });
+
+  test("businessDateExpr shifts by the time left after the cutoff", () => {
+    assert.deepEqual(bd.businessDateExpr("$date"), {
+      date: { $add: ["$date", 3 * 60 * 60 * 1000] },
+      timezone: "Asia/Kolkata",
+    });
+    ["2025-03-10T15:29:00Z", "2025-03-10T15:31:00Z", "2025-03-10T18:31:00Z"].forEach((iso) => {
+      assert.equal(evaluateExpr(bd, new Date(iso)), bd.toDateKey(new Date(iso)));
+    });
+  });
+
+  test("dayBounds runs from the previous evening's cutoff", () => {
+    const { start, end } = bd.dayBounds("2025-03-11");
+    assert.equal(start.toISOString(), "2025-03-10T15:30:00.000Z");
+    assert.equal(end.toISOString(), "2025-03-11T15:29:59.999Z");
+  });
+
+  test("a bill after the cutoff on 31 March is in the new financial year", () => {
+    assert.equal(bd.toFinancialYear(new Date("2025-03-31T15:29:00Z")), "2024-25"); // 20:59 IST
+    assert.equal(bd.toFinancialYear(new Date("2025-03-31T15:31:00Z")), "2025-26"); // 21:01 IST
+  });
+
+  test("that bill is printed with the business day its number belongs to", () => {
+    const now = new Date("2025-03-31T15:31:00Z"); // 21:01 IST, 31 March
+    assert.equal(bd.formatDateKey(bd.toDateKey(now)), "1/4/2025");
+    assert.equal(bd.formatDate(now), "31/3/2025"); // the calendar date would contradict INV/2025-26
+  });
+
+  test("this_month after the cutoff on the last day already covers the new month", () => {
+    const now = new Date("2025-03-31T16:00:00Z"); // 21:30 IST, 31 March → business day 1 April
+    const { startDate } = bd.resolveDateRange({ type: "this_month" }, now);
+    assert.equal(startDate.toISOString(), "2025-03-31T15:30:00.000Z");
+  });
+});
+
+test.describe("non-IST zone (America/New_York, DST)", () => {
+  const bd = load({ timezone: "America/New_York" });
+
+  test("23:59 and 00:01 local time fall on consecutive days", () => {
+    assert.equal(bd.toDateKey(new Date("2025-01-16T04:59:00Z")), "2025-01-15"); // 23:59 EST
+    assert.equal(bd.toDateKey(new Date("2025-01-16T05:01:00Z")), "2025-01-16"); // 00:01 EST
+    assert.equal(bd.toDateKey(new Date("2025-07-16T03:59:00Z")), "2025-07-15"); // 23:59 EDT
+    assert.equal(bd.toDateKey(new Date("2025-07-16T04:01:00Z")), "2025-07-16"); // 00:01 EDT
+  });
+
+  test("businessDateExpr uses the configured zone", () => {
+    assert.equal(bd.businessDateExpr("$date").timezone, "America/New_York");
+    ["2025-01-16T04:59:00Z", "2025-07-16T04:01:00Z"].forEach((iso) => {
+      assert.equal(evaluateExpr(bd, new Date(iso)), bd.toDateKey(new Date(iso)));
+    });
+  });
+
+  test("the day clocks spring forward is 23 hours long", () => {
+    const { start, end } = bd.dayBounds("2025-03-09");
+    assert.equal(start.toISOString(), "2025-03-09T05:00:00.000Z");
+    assert.equal(end.toISOString(), "2025-03-10T03:59:59.999Z");
+  });
+
+  test("year rollover: this_year at 00:01 on 1 January", () => {
+    const now = new Date("2026-01-01T05:01:00Z");
+    const { startDate } = bd.resolveDateRange({ type: "this_year" }, now);
+    assert.equal(startDate.toISOString(), "2026-01-01T05:00:00.000Z");
+  });
+
+  test("last_3_months reaches back across the year boundary", () => {
+    const now = new Date("2026-02-10T12:00:00Z");
+    const { startDate } = bd.resolveDateRange({ type: "last_3_months" }, now);
+    assert.equal(startDate.toISOString(), "2025-12-01T05:00:00.000Z");
+  });
+});
+
+test("an invalid cutoff fails at load time", () => {
+  assert.throws(() => load({ cutoff: "25:00" }), /BUSINESS_DAY_CUTOFF/);
+});
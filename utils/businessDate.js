@@ -0,0 +1,139 @@
+// utils/businessDate.js
+// The one place that decides which business day an instant belongs to.
+//   SHOP_TIMEZONE         IANA zone of the shop (default "Asia/Kolkata"); DST-aware, independent of the host TZ
+//   BUSINESS_DAY_CUTOFF   "HH:MM" local time at which the day closes (default "00:00" = midnight).
+//                         With "21:00", a sale at 22:15 on the 5th is booked on the 6th.
+// Business days are handled as "YYYY-MM-DD" keys.
+
+const TIMEZONE = process.env.SHOP_TIMEZONE || "Asia/Kolkata";
+const MS_PER_MINUTE = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseCutoff(value = "00:00") {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`BUSINESS_DAY_CUTOFF must be HH:MM, got "${value}"`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+const CUTOFF_MINUTES = parseCutoff(process.env.BUSINESS_DAY_CUTOFF);
+// Shifting an instant forward by this much moves anything after the cutoff into the next calendar day
+const CUTOFF_SHIFT_MS = CUTOFF_MINUTES ? (MINUTES_PER_DAY - CUTOFF_MINUTES) * MS_PER_MINUTE : 0;
+
+// Fails fast on an unknown zone name
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIMEZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+// ✅ Shop-local wall-clock fields of an instant: { year, month, day, hour, minute, second }
+function localParts(date = new Date()) {
+  const parts = {};
+  partsFormatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// ✅ Shop timezone's UTC offset (minutes) at an instant, e.g. 330 for IST
+function offsetMinutes(date = new Date()) {
+  const instant = new Date(date);
+  const p = localParts(instant);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTC - Math.floor(instant.getTime() / 1000) * 1000) / MS_PER_MINUTE);
+}
+
+// ✅ Instant at which the shop's clock shows `minutes` past midnight on a calendar date
+function localTimeToInstant(dateKey, minutes = 0) {
+  const wallClock = Date.parse(`${dateKey}T00:00:00Z`) + minutes * MS_PER_MINUTE;
+  // Two passes settle the offset on either side of a DST change
+  let instant = wallClock - offsetMinutes(wallClock) * MS_PER_MINUTE;
+  instant = wallClock - offsetMinutes(instant) * MS_PER_MINUTE;
+  return new Date(instant);
+}
+
+// ✅ Validate a "YYYY-MM-DD" key (rejects impossible dates like 2025-02-30)
+function isDateKey(value) {
+  if (typeof value !== "string" || !DATE_KEY_REGEX.test(value)) return false;
+  return new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+// ✅ Calendar arithmetic on keys: addDays("2025-03-31", 1) → "2025-04-01"
+function addDays(dateKey, days) {
+  const date = new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * MINUTES_PER_DAY * MS_PER_MINUTE);
+  return date.toISOString().slice(0, 10);
+}
+
+// ✅ Business day ("YYYY-MM-DD") an instant belongs to
+function toDateKey(date = new Date()) {
+  const p = localParts(new Date(new Date(date).getTime() + CUTOFF_SHIFT_MS));
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+// ✅ UTC instants bounding a business day (end is the last millisecond before the next day opens)
+function dayBounds(dateKey) {
+  const start = CUTOFF_MINUTES
+    ? localTimeToInstant(addDays(dateKey, -1), CUTOFF_MINUTES)
+    : localTimeToInstant(dateKey, 0);
+  const next = CUTOFF_MINUTES
+    ? localTimeToInstant(dateKey, CUTOFF_MINUTES)
+    : localTimeToInstant(addDays(dateKey, 1), 0);
+  return { start, end: new Date(next.getTime() - 1) };
+}
+
+// ✅ Indian financial year (April–March) label of the business day, e.g. "2025-26"
+function toFinancialYear(date = new Date()) {
+  const [year, month] = toDateKey(date).split("-").map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+}
+
+// ✅ MongoDB date expression that groups a field by business day:
+// { $dateToString: { format: "%Y-%m-%d", ...businessDateExpr("$date") } }
+function businessDateExpr(field) {
+  return {
+    date: CUTOFF_SHIFT_MS ? { $add: [field, CUTOFF_SHIFT_MS] } : field,
+    timezone: TIMEZONE,
+  };
+}
+
+// ✅ Display helpers in the shop's timezone
+function formatDateTime(date, options = { dateStyle: "medium", timeStyle: "short" }) {
+  return new Date(date).toLocaleString("en-IN", { timeZone: TIMEZONE, ...options });
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-IN", { timeZone: TIMEZONE });
+}
+
+// ✅ A business day "YYYY-MM-DD" in the same style (after the cutoff this differs from formatDate(now))
+function formatDateKey(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString("en-IN", { timeZone: "UTC" });
+}
+
+module.exports = {
+  TIMEZONE,
+  CUTOFF_MINUTES,
+  MS_PER_MINUTE,
+  localParts,
+  offsetMinutes,
+  localTimeToInstant,
+  isDateKey,
+  addDays,
+  toDateKey,
+  dayBounds,
+  toFinancialYear,
+  businessDateExpr,
+  formatDateTime,
+  formatDate,
+  formatDateKey,
+};
@@ -0,0 +1,67 @@
+// utils/categories.js
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const { HttpError } = require("./httpError");
+
+// ✅ The whole category tree in memory (shops have tens of categories, not thousands)
+// pathOf(id) → "Rings > Engagement"; thresholdOf(id) → nearest reorder level up the tree (0 = none);
+// subtree(ids) → the ids plus every descendant.
+async function categoryIndex({ session } = {}) {
+  const categories = await Category.find().session(session || null).lean();
+  const byId = new Map(categories.map((c) => [c._id.toString(), c]));
+
+  const lineage = (id) => {
+    const category = byId.get(String(id));
+    if (!category) return [];
+    return [...category.ancestors.map((a) => byId.get(a.toString())).filter(Boolean), category];
+  };
+
+  return {
+    byId,
+    get: (id) => (id ? byId.get(String(id)) : undefined),
+    pathOf: (id) => lineage(id).map((c) => c.name).join(" > "),
+    thresholdOf: (id) => lineage(id).reverse().find((c) => c.lowQuantity > 0)?.lowQuantity || 0,
+    subtree: (ids) => {
+      const wanted = new Set(ids.map(String));
+      return categories
+        .filter((c) => wanted.has(c._id.toString()) || c.ancestors.some((a) => wanted.has(a.toString())))
+        .map((c) => c._id);
+    },
+  };
+}
+
+// ✅ "RNG,<id>" → ids of those categories and everything under them (unknown codes answer 400)
+async function resolveCategoryFilter(value) {
+  const index = await categoryIndex();
+  const wanted = [].concat(value).flatMap((v) => String(v).split(",")).map((v) => v.trim()).filter(Boolean);
+  const ids = wanted.map((v) => {
+    if (mongoose.isValidObjectId(v) && index.get(v)) return v;
+    const match = [...index.byId.values()].find((c) => c.code === v.toUpperCase());
+    if (!match) throw new HttpError(400, `Unknown category: ${v}`);
+    return match._id.toString();
+  });
+  return index.subtree(ids);
+}
+
+// ✅ Reorder level that applies to a product: its own, else its category's (inherited up the tree)
+function effectiveLowQuantity(product, index) {
+  return product.lowQuantity > 0 ? product.lowQuantity : index.thresholdOf(product.categoryId);
+}
+
+// ✅ Category id from a request value: an id or a code ("" / null clears it)
+async function readCategoryId(value, { session } = {}) {
+  if (value === null || value === "") return null;
+  const text = String(value).trim();
+  const filter = mongoose.isValidObjectId(text) ? { _id: text } : { code: text.toUpperCase() };
+  const category = await Category.findOne(filter).session(session || null);
+  if (!category || !category.isActive) throw new HttpError(400, `Unknown category: ${text}`);
+  return category._id;
+}
+
+// ✅ Tags / collections: "Bridal; Festive" or ["Bridal"] → ["bridal", "festive"]
+function normaliseTags(value) {
+  const list = [].concat(value ?? []).flatMap((v) => String(v).split(/[;,]/));
+  return [...new Set(list.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+module.exports = { categoryIndex, resolveCategoryFilter, effectiveLowQuantity, readCategoryId, normaliseTags };
@@ -0,0 +1,57 @@
+// utils/dateRange.js
+// The report range vocabulary shared by exports and analytics: ?type=&start=&end=
+const { toDateKey, isDateKey, dayBounds } = require("./businessDate");
+const { HttpError } = require("./httpError");
+
+const RANGE_TYPES = ["today", "yesterday", "this_month", "last_3_months", "this_year", "custom"];
+
+// "YYYY-MM" shifted by n months → first day key of that month
+function monthStartKey(dateKey, monthsBack = 0) {
+  const [year, month] = dateKey.split("-").map(Number);
+  const first = new Date(Date.UTC(year, month - 1 - monthsBack, 1));
+  return first.toISOString().slice(0, 10);
+}
+
+// ✅ Resolve ?type=today|yesterday|this_month|last_3_months|this_year|custom (&start=&end= as business days "YYYY-MM-DD")
+// Returns UTC instants { startDate, endDate } (both null for "All Data") and a label for headings.
+function resolveDateRange({ type, start, end } = {}, now = new Date()) {
+  const todayKey = toDateKey(now);
+
+  switch (type) {
+    case "today":
+      return { startDate: dayBounds(todayKey).start, endDate: now, rangeLabel: "Today" };
+    case "yesterday": {
+      const { start: todayStart } = dayBounds(todayKey);
+      const yesterdayKey = toDateKey(new Date(todayStart.getTime() - 1));
+      const { start: startDate, end: endDate } = dayBounds(yesterdayKey);
+      return { startDate, endDate, rangeLabel: "Yesterday" };
+    }
+    case "this_month":
+      return { startDate: dayBounds(monthStartKey(todayKey)).start, endDate: now, rangeLabel: "This Month" };
+    case "last_3_months":
+      return { startDate: dayBounds(monthStartKey(todayKey, 2)).start, endDate: now, rangeLabel: "Last 3 Months" };
+    case "this_year":
+      return { startDate: dayBounds(`${todayKey.slice(0, 4)}-01-01`).start, endDate: now, rangeLabel: "This Year" };
+    case "custom": {
+      if (!isDateKey(start) || !isDateKey(end)) {
+        throw new HttpError(400, "Custom ranges need start and end as YYYY-MM-DD");
+      }
+      if (start > end) throw new HttpError(400, "start must not be after end");
+      return { startDate: dayBounds(start).start, endDate: dayBounds(end).end, rangeLabel: `${start} → ${end}` };
+    }
+    case undefined:
+    case "":
+    case "all":
+      return { startDate: null, endDate: null, rangeLabel: "All Data" };
+    default:
+      throw new HttpError(400, `type must be one of: ${RANGE_TYPES.join(", ")}`);
+  }
+}
+
+// ✅ Mongo condition for a date field within a resolved range ({} when unbounded)
+function rangeMatch(field, { startDate, endDate }) {
+  if (!startDate || !endDate) return {};
+  return { [field]: { $gte: startDate, $lte: endDate } };
+}
+
+module.exports = { RANGE_TYPES, resolveDateRange, rangeMatch };
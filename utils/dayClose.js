@@ -0,0 +1,153 @@
+// utils/dayClose.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const InventoryHistory = require("../models/InventoryHistory");
+const TransactionLog = require("../models/TransactionLog");
+const DayClose = require("../models/DayClose");
+const StockBalance = require("../models/StockBalance");
+const Location = require("../models/Location");
+const { toDateKey, isDateKey, addDays, dayBounds } = require("./businessDate");
+const { HttpError } = require("./httpError");
+
+// ✅ Latest closed business day ("YYYY-MM-DD"), or null when no day has been closed
+async function closedThrough({ session } = {}) {
+  const last = await DayClose.findOne().sort({ dayKey: -1 }).select("dayKey").session(session || null);
+  return last ? last.dayKey : null;
+}
+
+// ✅ Refuse changes booked on or before the latest closed day (409)
+async function assertDayOpen(dayKey, { session } = {}) {
+  const through = await closedThrough({ session });
+  if (through && dayKey <= through) {
+    throw new HttpError(409, `Business day ${dayKey} is closed (books are closed through ${through})`);
+  }
+}
+
+// ✅ Stock balance of every product at an instant, from the movement ledger:
+// the last movement on or before it, else the opening of the first movement after it, else current stock.
+// With `locationIds`, the balance held at those locations instead (current balance less later movements;
+// entries from before locations existed belong to the default location).
+async function balancesAt(instant, { locationIds, session } = {}) {
+  if (locationIds) return locationBalancesAt(instant, locationIds, { session });
+
+  const [before, after] = await Promise.all([
+    StockMovement.aggregate([
+      { $match: { date: { $lte: instant } } },
+      { $sort: { date: 1, _id: 1 } },
+      { $group: { _id: "$productId", balance: { $last: "$balanceAfter" } } },
+    ]).session(session || null),
+    StockMovement.aggregate([
+      { $match: { date: { $gt: instant } } },
+      { $sort: { date: 1, _id: 1 } },
+      {
+        $group: {
+          _id: "$productId",
+          balance: {
+            $first: {
+              $subtract: ["$balanceAfter", { $cond: [{ $eq: ["$type", "transfer"] }, 0, "$quantity"] }],
+            },
+          },
+        },
+      },
+    ]).session(session || null),
+  ]);
+  const balances = new Map(after.map((r) => [r._id.toString(), r.balance]));
+  before.forEach((r) => balances.set(r._id.toString(), r.balance));
+  return balances;
+}
+
+// ✅ Movement filter for a set of locations (pre-location entries count as the default location)
+async function locationMovementMatch(locationIds, { session } = {}) {
+  const ids = locationIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const fallback = await Location.findOne({ isDefault: true }).select("_id").session(session || null);
+  const or = [{ locationId: { $in: ids } }];
+  if (fallback && ids.some((id) => id.equals(fallback._id))) or.push({ locationId: null });
+  return { $or: or };
+}
+
+async function locationBalancesAt(instant, locationIds, { session } = {}) {
+  const ids = locationIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const [current, later] = await Promise.all([
+    StockBalance.aggregate([
+      { $match: { locationId: { $in: ids } } },
+      { $group: { _id: "$productId", quantity: { $sum: "$quantity" } } },
+    ]).session(session || null),
+    StockMovement.aggregate([
+      { $match: { $and: [await locationMovementMatch(locationIds, { session }), { date: { $gt: instant } }] } },
+      { $group: { _id: "$productId", quantity: { $sum: "$quantity" } } },
+    ]).session(session || null),
+  ]);
+  const balances = new Map(current.map((r) => [r._id.toString(), r.quantity]));
+  later.forEach((r) => {
+    const id = r._id.toString();
+    balances.set(id, (balances.get(id) || 0) - r.quantity);
+  });
+  return balances;
+}
+
+// ✅ Close one business day: snapshot every product that existed (movement or not) and lock the day's rows
+// Days close in order; the first close may be any past or current day.
+async function closeDay(dayKey, { userId, remarks = "", session } = {}) {
+  if (!isDateKey(dayKey)) throw new HttpError(400, "dayKey must be YYYY-MM-DD");
+  if (dayKey > toDateKey()) throw new HttpError(400, "A future day cannot be closed");
+
+  const through = await closedThrough({ session });
+  if (through && dayKey <= through) throw new HttpError(409, `Business day ${dayKey} is already closed`);
+  if (through && dayKey !== addDays(through, 1)) {
+    throw new HttpError(409, `Close ${addDays(through, 1)} first (days close in order)`);
+  }
+
+  const { start, end } = dayBounds(dayKey);
+  const [products, balances, existing] = await Promise.all([
+    Product.find({ $or: [{ createdAt: { $lte: end } }, { createdAt: { $exists: false } }] }).select("quantity grossWeight netWeight").session(session || null).lean(),
+    balancesAt(end, { session }),
+    InventoryHistory.find({ dayKey }).session(session || null).lean(),
+  ]);
+  const rolledUp = new Map(existing.map((h) => [h.productId.toString(), h]));
+
+  const totals = { openingQty: 0, addedQty: 0, soldQty: 0, closingQty: 0 };
+  const ops = products.map((p) => {
+    const id = p._id.toString();
+    const day = rolledUp.get(id);
+    const closingQty = day ? day.closingQty : balances.get(id) ?? p.quantity;
+    const row = day
+      ? { openingQty: day.openingQty, addedQty: day.addedQty, soldQty: day.soldQty, closingQty }
+      : { openingQty: closingQty, addedQty: 0, soldQty: 0, closingQty };
+    Object.keys(totals).forEach((k) => (totals[k] += row[k]));
+
+    return {
+      updateOne: {
+        filter: { productId: p._id, dayKey },
+        update: {
+          $set: { ...row, unitGrossWeight: p.grossWeight || 0, unitNetWeight: p.netWeight || 0, locked: true },
+          $setOnInsert: { date: start },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  if (ops.length) await InventoryHistory.bulkWrite(ops, { session });
+  await TransactionLog.updateMany({ date: { $gte: start, $lte: end } }, { $set: { locked: true } }, { session });
+
+  const [dayClose] = await DayClose.create(
+    [{ dayKey, closedBy: userId, products: ops.length, ...totals, remarks }],
+    { session }
+  );
+  return dayClose;
+}
+
+// ✅ Reopen the latest closed day (unlocks its rows; its snapshots are refreshed by later movements)
+async function reopenLastDay({ session } = {}) {
+  const last = await DayClose.findOne().sort({ dayKey: -1 }).session(session || null);
+  if (!last) throw new HttpError(404, "No closed day to reopen");
+
+  const { start, end } = dayBounds(last.dayKey);
+  await InventoryHistory.updateMany({ dayKey: last.dayKey }, { $set: { locked: false } }, { session, includeLocked: true });
+  await TransactionLog.updateMany({ date: { $gte: start, $lte: end } }, { $set: { locked: false } }, { session, includeLocked: true });
+  await last.deleteOne({ session });
+  return last.dayKey;
+}
+
+module.exports = { closedThrough, assertDayOpen, balancesAt, locationMovementMatch, closeDay, reopenLastDay };
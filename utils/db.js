@@ -0,0 +1,10 @@
+// utils/db.js
+const mongoose = require("mongoose");
+
+// ✅ Run `fn(session)` inside a MongoDB transaction (retried by the driver on transient conflicts)
+// Requires a replica set / Atlas cluster.
+function withTransaction(fn) {
+  return mongoose.connection.transaction(fn);
+}
+
+module.exports = { withTransaction };
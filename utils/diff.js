@@ -0,0 +1,37 @@
+// utils/diff.js
+
+// Bookkeeping fields that change on every save and say nothing about the edit
+const IGNORED = new Set(["__v", "updatedAt", "createdAt"]);
+
+// ✅ Plain JSON copy of a document (ObjectIds → strings, dates → ISO), honouring model toJSON transforms
+function snapshot(doc) {
+  if (doc === undefined || doc === null) return undefined;
+  return JSON.parse(JSON.stringify(doc.toJSON ? doc.toJSON() : doc));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// ✅ Field-level changes between two snapshots: [{ field: "kyc.idNumber", from, to }]
+// Nested objects are walked with dot paths; arrays are compared as a whole.
+function diffSnapshots(before = {}, after = {}, prefix = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (!prefix && IGNORED.has(key)) return;
+    const field = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffSnapshots(from, to, field));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  return changes;
+}
+
+module.exports = { snapshot, diffSnapshots };
@@ -0,0 +1,131 @@
+// utils/exporters.js
+// Pluggable report formatters. A report is
+//   { title, subtitle?, sheetName?, columns: ["SKU", …], rows: [{ SKU: …, … }], filename (no extension) }
+const XLSX = require("xlsx");
+const { HttpError } = require("./httpError");
+const { formatDateTime } = require("./businessDate");
+
+// ✅ .xlsx workbook with one sheet
+function renderXlsx({ rows, columns, sheetName, title }) {
+  const ws = XLSX.utils.json_to_sheet(rows, columns ? { header: columns } : undefined);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, (sheetName || title || "Report").substring(0, 31));
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+// ✅ Landscape table PDF (same look as the original transaction export)
+function renderPdf({ title, subtitle, head, body }) {
+  const jsPDF = require("jspdf").jsPDF;
+  const autoTable = require("jspdf-autotable").default || require("jspdf-autotable");
+
+  const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: "A4" });
+
+  doc.setFontSize(16);
+  doc.text(title, 40, 40);
+  doc.setFontSize(11);
+  if (subtitle) doc.text(subtitle, 40, 60);
+
+  (autoTable.default || autoTable)(doc, {
+    startY: 80,
+    head: [head],
+    body,
+    theme: "grid",
+    styles: { fontSize: 8, cellPadding: 4 },
+    headStyles: { fillColor: [30, 64, 175], textColor: 255, fontStyle: "bold" },
+    alternateRowStyles: { fillColor: [245, 245, 245] },
+  });
+
+  const generatedAt = formatDateTime(new Date(), {});
+  doc.setFontSize(9);
+  doc.text(`Generated on: ${generatedAt}`, 40, doc.internal.pageSize.height - 20);
+
+  return Buffer.from(doc.output("arraybuffer"));
+}
+
+// ✅ RFC 4180 CSV (with a BOM so Excel reads ₹ and other non-ASCII text correctly)
+function renderCsv({ rows, columns }) {
+  const header = columns || Object.keys(rows[0] || {});
+  const cell = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [header.map(cell).join(","), ...rows.map((r) => header.map((h) => cell(r[h])).join(","))];
+  return Buffer.from(`\uFEFF${lines.join("\r\n")}\r\n`, "utf8");
+}
+
+function columnsOf(report) {
+  return report.columns || Object.keys(report.rows[0] || {});
+}
+
+const FORMATTERS = {
+  xlsx: {
+    extension: "xlsx",
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    render: (report) => renderXlsx({ ...report, columns: columnsOf(report) }),
+  },
+  pdf: {
+    extension: "pdf",
+    contentType: "application/pdf",
+    render: (report) => {
+      const head = columnsOf(report);
+      const body = report.rows.map((r) => head.map((h) => (r[h] === undefined || r[h] === null ? "" : r[h])));
+      return renderPdf({ title: report.title, subtitle: report.subtitle, head, body });
+    },
+  },
+  csv: {
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+    render: (report) => renderCsv({ rows: report.rows, columns: columnsOf(report) }),
+  },
+  json: {
+    extension: "json",
+    contentType: "application/json",
+    render: (report) => Buffer.from(JSON.stringify({
+      title: report.title,
+      subtitle: report.subtitle || null,
+      generatedAt: new Date().toISOString(),
+      columns: columnsOf(report),
+      rows: report.rows,
+    }, null, 2)),
+  },
+};
+
+// ✅ Add or replace a formatter: { extension, contentType, render(report) → Buffer }
+function registerFormatter(name, formatter) {
+  FORMATTERS[name] = formatter;
+}
+
+// ✅ Render a report to { buffer, filename, contentType }
+function renderReport(report, format = "xlsx") {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new HttpError(400, `format must be one of: ${Object.keys(FORMATTERS).join(", ")}`);
+  }
+  return {
+    buffer: formatter.render(report),
+    filename: `${report.filename}.${formatter.extension}`,
+    contentType: formatter.contentType,
+  };
+}
+
+// ✅ Render a report and send it as a download
+function sendReport(res, report, format) {
+  const { buffer, filename, contentType } = renderReport(report, format);
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}`);
+  res.setHeader("Content-Type", contentType);
+  res.send(buffer);
+}
+
+// ✅ Send rows (array of plain objects) as an .xlsx download
+function sendXlsx(res, { rows, sheetName, filename }) {
+  sendReport(res, { rows, sheetName, filename }, "xlsx");
+}
+
+// ✅ Send a landscape table report as a .pdf download
+function sendPdf(res, { title, subtitle, head, body, filename }) {
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}.pdf`);
+  res.contentType("application/pdf");
+  res.send(renderPdf({ title, subtitle, head, body }));
+}
+
+module.exports = { FORMATTERS, registerFormatter, renderReport, sendReport, sendXlsx, sendPdf };
@@ -0,0 +1,20 @@
+// utils/httpError.js
+
+// ✅ Error carrying the HTTP status a route should answer with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// ✅ Status for an error caught in a route: explicit status, 409 for write conflicts, else fallback
+function errorStatus(err, fallback = 400) {
+  if (err.status) return err.status;
+  if (err.name === "VersionError") return 409;
+  if (err.code === 112 || err.errorLabels?.includes?.("TransientTransactionError")) return 409; // WriteConflict
+  return fallback;
+}
+
+module.exports = { HttpError, errorStatus };
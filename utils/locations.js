@@ -0,0 +1,111 @@
+// utils/locations.js
+const mongoose = require("mongoose");
+const Location = require("../models/Location");
+const StockBalance = require("../models/StockBalance");
+const StockTransfer = require("../models/StockTransfer");
+const Product = require("../models/Product");
+const { HttpError } = require("./httpError");
+
+// ✅ Create the default location on first start and move existing stock into it
+// Products without any per-location balance (stock from before locations) get one at the default.
+async function ensureDefaultLocation() {
+  let location = await Location.findOne({ isDefault: true });
+  if (!location) {
+    location = await Location.findOneAndUpdate(
+      { code: process.env.DEFAULT_LOCATION_CODE || "MAIN" },
+      { $set: { isDefault: true }, $setOnInsert: { name: "Main Showroom", type: "showroom" } },
+      { upsert: true, new: true }
+    );
+  }
+
+  const unplaced = await Product.aggregate([
+    { $lookup: { from: "stockbalances", localField: "_id", foreignField: "productId", as: "balances" } },
+    { $match: { balances: { $size: 0 } } },
+    { $project: { quantity: 1 } },
+  ]);
+  if (unplaced.length) {
+    await StockBalance.bulkWrite(unplaced.map((p) => ({
+      updateOne: {
+        filter: { productId: p._id, locationId: location._id },
+        update: { $setOnInsert: { quantity: Math.max(p.quantity || 0, 0) } },
+        upsert: true,
+      },
+    })));
+  }
+  return location;
+}
+
+async function defaultLocation({ session } = {}) {
+  const location = await Location.findOne({ isDefault: true }).session(session || null);
+  if (!location) throw new HttpError(500, "No default location is configured");
+  return location;
+}
+
+// ✅ Location ids a user is limited to, or null when they may see every location
+function locationScope(user) {
+  return user?.locations?.length ? user.locations.map(String) : null;
+}
+
+// ✅ Does the user's scope include this location?
+function canUseLocation(user, locationId) {
+  const scope = locationScope(user);
+  return !scope || scope.includes(String(locationId));
+}
+
+// ✅ Location a stock change is booked at: the requested one (checked against the user's scope),
+// else the user's first location, else the shop default
+async function resolveLocation(user, requestedId, { session } = {}) {
+  let id = requestedId || locationScope(user)?.[0];
+  if (!id) return defaultLocation({ session });
+
+  if (!mongoose.isValidObjectId(id)) throw new HttpError(400, "Invalid locationId");
+  if (!canUseLocation(user, id)) throw new HttpError(403, "You are not assigned to this location");
+  const location = await Location.findById(id).session(session || null);
+  if (!location || !location.isActive) throw new HttpError(404, "Location not found");
+  return location;
+}
+
+// ✅ Location ids to filter a read by (?locationId=a,b); null = consolidated view
+// Users scoped to locations always get their own locations, never the consolidated view.
+function readLocationIds(user, requested) {
+  const scope = locationScope(user);
+  const ids = requested ? [].concat(requested).flatMap((v) => String(v).split(",")).filter(Boolean) : null;
+  if (ids) {
+    if (ids.some((id) => !mongoose.isValidObjectId(id))) throw new HttpError(400, "Invalid locationId");
+    if (scope && ids.some((id) => !scope.includes(id))) throw new HttpError(403, "You are not assigned to this location");
+    return ids;
+  }
+  return scope;
+}
+
+// ✅ Pieces per product at the given locations: Map(productId → quantity)
+async function quantitiesAt(locationIds, productIds) {
+  const match = { locationId: { $in: locationIds.map((id) => new mongoose.Types.ObjectId(id)) } };
+  if (productIds) match.productId = { $in: productIds };
+  const rows = await StockBalance.aggregate([
+    { $match: match },
+    { $group: { _id: "$productId", quantity: { $sum: "$quantity" } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r.quantity]));
+}
+
+// ✅ Pieces per product dispatched but not yet received: Map(productId → quantity)
+async function inTransitQuantities() {
+  const rows = await StockTransfer.aggregate([
+    { $match: { status: "in_transit" } },
+    { $unwind: "$items" },
+    { $group: { _id: "$items.productId", quantity: { $sum: "$items.quantity" } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), r.quantity]));
+}
+
+module.exports = {
+  ensureDefaultLocation,
+  defaultLocation,
+  locationScope,
+  canUseLocation,
+  resolveLocation,
+  readLocationIds,
+  quantitiesAt,
+  inTransitQuantities,
+};
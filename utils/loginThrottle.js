@@ -0,0 +1,51 @@
+// utils/loginThrottle.js
+const LoginThrottle = require("../models/LoginThrottle");
+
+const FREE_ATTEMPTS = 3; // failures allowed before backoff starts
+const MAX_BACKOFF_SECONDS = 15 * 60;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const LOCK_AFTER = { user: 10, ip: 30 }; // failures before a temporary lockout
+
+function throttleKeys(username, ip) {
+  return [`user:${String(username || "").trim().toLowerCase()}`, `ip:${ip}`];
+}
+
+// ✅ Seconds the caller must wait before trying again (0 when allowed)
+async function retryAfterSeconds(keys) {
+  const now = Date.now();
+  const entries = await LoginThrottle.find({ key: { $in: keys } });
+  return entries.reduce((wait, e) => {
+    if (e.lockedUntil && e.lockedUntil.getTime() > now) {
+      return Math.max(wait, Math.ceil((e.lockedUntil.getTime() - now) / 1000));
+    }
+    if (e.failures >= FREE_ATTEMPTS) {
+      // Exponential backoff: 1s, 2s, 4s … after the free attempts, capped
+      const backoff = Math.min(2 ** (e.failures - FREE_ATTEMPTS), MAX_BACKOFF_SECONDS);
+      const readyAt = e.lastFailureAt.getTime() + backoff * 1000;
+      if (readyAt > now) return Math.max(wait, Math.ceil((readyAt - now) / 1000));
+    }
+    return wait;
+  }, 0);
+}
+
+// ✅ Count a failure against every key, locking keys that pass their limit
+async function recordFailure(keys) {
+  for (const key of keys) {
+    const entry = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: new Date() } },
+      { upsert: true, new: true }
+    );
+    const limit = LOCK_AFTER[key.split(":")[0]];
+    if (entry.failures % limit === 0) {
+      entry.lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+      await entry.save();
+    }
+  }
+}
+
+async function clearFailures(keys) {
+  await LoginThrottle.deleteMany({ key: { $in: keys } });
+}
+
+module.exports = { throttleKeys, retryAfterSeconds, recordFailure, clearFailures };
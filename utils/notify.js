@@ -0,0 +1,159 @@
+// utils/notify.js
+// Notification outbox: enqueue() inside a transaction, the worker delivers through pluggable transports.
+//   NOTIFY_CHANNELS    comma list of log | webhook | email (default "log")
+//   NOTIFY_WEBHOOK_URL where webhook notifications are POSTed as JSON
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO
+// For local testing point the webhook at any request bin, or SMTP at a catcher such as MailHog (port 1025).
+const Notification = require("../models/Notification");
+
+const MAX_ATTEMPTS = 5;
+const LEASE_MS = 5 * 60 * 1000; // a claimed message is reclaimed after this if the worker dies mid-send
+
+function configuredChannels() {
+  return (process.env.NOTIFY_CHANNELS || "log")
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => Notification.CHANNELS.includes(c));
+}
+
+let mailer;
+function getMailer() {
+  if (!mailer) {
+    const nodemailer = require("nodemailer");
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return mailer;
+}
+
+// ✅ Transports: each delivers one Notification or throws
+const transports = {
+  log: async (n) => {
+    const files = (n.attachments || []).map((a) => `\n📎 ${a.path}`).join("");
+    console.log(`🔔 [${n.event}] ${n.subject}\n${n.text}${files}`);
+  },
+  webhook: async (n) => {
+    const url = n.to || process.env.NOTIFY_WEBHOOK_URL;
+    if (!url) throw new Error("NOTIFY_WEBHOOK_URL is not set");
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        event: n.event,
+        subject: n.subject,
+        text: n.text,
+        payload: n.payload,
+        attachments: (n.attachments || []).map((a) => a.filename),
+      }),
+      signal: AbortSignal.timeout(10 * 1000),
+    });
+    if (!response.ok) throw new Error(`Webhook answered ${response.status}`);
+  },
+  email: async (n) => {
+    const to = n.to || process.env.NOTIFY_EMAIL_TO;
+    if (!to) throw new Error("NOTIFY_EMAIL_TO is not set");
+    await getMailer().sendMail({
+      from: process.env.NOTIFY_EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject: n.subject,
+      text: n.text,
+      attachments: (n.attachments || []).map((a) => ({ filename: a.filename, path: a.path })),
+    });
+  },
+};
+
+// ✅ Queue a message on every configured channel (or the given ones); pass a session to commit with a change
+// A dedupeKey makes the enqueue a no-op when the same message was already queued.
+async function enqueue({ event, subject, text = "", payload, attachments, dedupeKey, channels }, { session } = {}) {
+  const docs = (channels || configuredChannels()).map((channel) => ({
+    event,
+    channel,
+    subject,
+    text,
+    payload,
+    attachments,
+    dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : undefined,
+  }));
+  if (!docs.length) return [];
+  try {
+    return await Notification.insertMany(docs, { session, ordered: false });
+  } catch (err) {
+    if (err.code === 11000 || err.writeErrors?.every((e) => e.code === 11000)) return err.insertedDocs || [];
+    throw err;
+  }
+}
+
+// ✅ Claim one message for delivery: it becomes "sending" under a lease, so no other worker or retry takes it
+// `restart` begins a fresh round of attempts (manual retry of a failed message).
+async function claim(filter, { restart = false } = {}) {
+  const lease = { status: "sending", lockedUntil: new Date(Date.now() + LEASE_MS) };
+  return Notification.findOneAndUpdate(
+    filter,
+    restart ? { $set: { ...lease, attempts: 1 } } : { $inc: { attempts: 1 }, $set: lease },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// ✅ Deliver one claimed message; failures back off exponentially (1, 2, 4, 8 minutes)
+async function deliver(notification) {
+  try {
+    const transport = transports[notification.channel];
+    if (!transport) throw new Error(`No transport for channel "${notification.channel}"`);
+    await transport(notification);
+    notification.set({ status: "sent", sentAt: new Date(), lastError: undefined, lockedUntil: undefined });
+  } catch (err) {
+    const attempts = notification.attempts;
+    notification.set({
+      status: attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+      lastError: err.message,
+      nextAttemptAt: new Date(Date.now() + 2 ** (attempts - 1) * 60 * 1000),
+      lockedUntil: undefined,
+    });
+  }
+  await notification.save();
+  return notification;
+}
+
+// ✅ Deliver everything that is due; each message is claimed atomically so several workers can run
+// Messages left "sending" by a worker that died mid-send are picked up again once their lease expires.
+async function processOutbox({ batchSize = 20 } = {}) {
+  let processed = 0;
+  while (processed < batchSize) {
+    const now = new Date();
+    const notification = await claim({
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lt: now } },
+      ],
+    });
+    if (!notification) break;
+    await deliver(notification);
+    processed += 1;
+  }
+  return processed;
+}
+
+// ✅ Poll the outbox in the background (OUTBOX_INTERVAL_SECONDS, default 30)
+function startOutboxWorker() {
+  const intervalMs = (Number(process.env.OUTBOX_INTERVAL_SECONDS) || 30) * 1000;
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (err) {
+      console.error("❌ Outbox worker error:", err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { transports, enqueue, claim, deliver, processOutbox, startOutboxWorker, configuredChannels };
@@ -0,0 +1,27 @@
+// utils/password.js
+
+const MIN_LENGTH = 10;
+const COMMON_PASSWORDS = [
+  "admin123", "admin@123", "password", "password1", "password123", "12345678", "123456789",
+  "1234567890", "qwerty123", "welcome123", "jewellery", "jewelry123", "changeme",
+];
+
+// ✅ Returns why a password is too weak, or null when it is acceptable
+function passwordProblem(password, username = "") {
+  if (typeof password !== "string" || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return "Password must contain both letters and numbers";
+  }
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.some((common) => lower.includes(common))) {
+    return "Password is too common";
+  }
+  if (username && lower.includes(String(username).toLowerCase())) {
+    return "Password must not contain the username";
+  }
+  return null;
+}
+
+module.exports = { passwordProblem, MIN_LENGTH };
@@ -0,0 +1,121 @@
+// utils/permissions.js
+const Role = require("../models/Role");
+
+// ✅ Every permission a role can be granted
+const PERMISSIONS = {
+  "product.view": "View products, stock and movements",
+  "product.create": "Add products",
+  "product.edit": "Edit product attributes",
+  "product.import": "Bulk import products",
+  "product.archive": "Archive / restore products",
+  "product.hardDelete": "Permanently delete products and their history",
+  "category.manage": "Manage product categories and their reorder levels",
+  "stock.sell": "Record sales and customer returns",
+  "stock.add": "Add stock (inward)",
+  "stock.adjust": "Adjust stock up or down",
+  "stock.transfer": "Dispatch and receive stock transfers between locations",
+  "location.manage": "Add / edit showrooms, safes and branches",
+  "audit.view": "View stock audits and variance reports",
+  "audit.count": "Submit physical counts",
+  "audit.manage": "Open, approve and cancel stock audits",
+  "invoice.view": "View invoices",
+  "invoice.create": "Create invoices",
+  "invoice.overrideRate": "Bill at a rate per gram or making charge other than the day's",
+  "customer.view": "View customers",
+  "customer.manage": "Add / edit customers and record exchanges",
+  "customer.delete": "Delete customers",
+  "supplier.view": "View suppliers, ledgers and purchase orders",
+  "supplier.manage": "Add / edit suppliers",
+  "supplier.issue": "Issue metal to karigars",
+  "purchase.create": "Create / cancel purchase orders",
+  "purchase.receive": "Receive stock against purchase orders",
+  "rate.view": "View metal rates",
+  "rate.manage": "Set the daily metal rates",
+  "report.view": "View valuation and reports",
+  "report.export": "Export reports",
+  "report.schedule": "Save and schedule report definitions",
+  "day.close": "Close business days (freezes their stock records)",
+  "day.reopen": "Reopen the last closed business day",
+  "label.print": "Print tag labels",
+  "alert.view": "View low-stock alerts and the reorder digest",
+  "alert.manage": "Acknowledge / snooze low-stock alerts",
+  "notification.manage": "Manage the notification outbox and send digests",
+  "sku.manage": "Preview SKU patterns and re-key SKUs",
+  "user.manage": "Manage users",
+  "role.manage": "Manage roles and permissions",
+  "auditLog.view": "View and export the audit trail and deleted-product archive",
+};
+
+// ✅ Built-in roles, created on startup when missing ("*" grants everything)
+const DEFAULT_ROLES = [
+  { name: "admin", description: "Full access", permissions: ["*"] },
+  {
+    name: "staff",
+    description: "Showroom staff",
+    permissions: [
+      "product.view", "product.create", "product.edit", "product.import",
+      "stock.sell", "stock.add", "stock.adjust", "stock.transfer",
+      "audit.view", "audit.count",
+      "invoice.view", "invoice.create",
+      "customer.view", "customer.manage",
+      "supplier.view", "supplier.issue", "purchase.receive",
+      "rate.view", "report.view", "report.export", "label.print",
+      "alert.view", "alert.manage",
+    ],
+  },
+  {
+    name: "counter",
+    description: "Counter staff: sell only, no stock inward",
+    permissions: [
+      "product.view", "stock.sell", "invoice.view", "invoice.create",
+      "customer.view", "customer.manage", "rate.view", "label.print", "alert.view",
+    ],
+  },
+  {
+    name: "viewer",
+    description: "Read-only access (e.g. accountant)",
+    permissions: [
+      "product.view", "audit.view", "invoice.view", "customer.view",
+      "supplier.view", "rate.view", "report.view", "report.export", "alert.view",
+    ],
+  },
+];
+
+async function ensureDefaultRoles() {
+  for (const role of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, builtIn: true } },
+      { upsert: true }
+    );
+  }
+}
+
+// Short-lived cache so every request doesn't re-read its role
+const CACHE_MS = 30 * 1000;
+const cache = new Map();
+
+// ✅ Permission set for a role name (empty when the role doesn't exist)
+async function permissionsForRole(name) {
+  const hit = cache.get(name);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.permissions;
+
+  const role = await Role.findOne({ name }).lean();
+  const permissions = new Set(role ? role.permissions : []);
+  cache.set(name, { permissions, at: Date.now() });
+  return permissions;
+}
+
+function clearRoleCache() {
+  cache.clear();
+}
+
+// ✅ Does a user (req.user) hold a permission?
+function can(user, permission) {
+  const granted = user?.permissions || [];
+  return granted.includes("*") || granted.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS, DEFAULT_ROLES, ensureDefaultRoles, permissionsForRole, clearRoleCache, can,
+};
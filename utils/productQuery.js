@@ -0,0 +1,207 @@
+// utils/productQuery.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockBalance = require("../models/StockBalance");
+const { quantitiesAt } = require("./locations");
+const { categoryIndex, resolveCategoryFilter } = require("./categories");
+const { HttpError } = require("./httpError");
+
+// Fields the listing can be sorted by (prefix with "-" for descending)
+const SORTABLE = ["name", "sku", "quantity", "lowQuantity", "grossWeight", "netWeight", "makingCharges", "createdAt", "updatedAt", "date"];
+const DATE_FIELDS = new Set(["createdAt", "updatedAt", "date"]);
+const WEIGHT_FIELDS = { gross: "grossWeight", net: "netWeight", stone: "stoneWeight" };
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "gold,silver" or ["gold","silver"] → ["gold", "silver"]
+function listOf(value, normalise) {
+  return [].concat(value).flatMap((v) => String(v).split(",")).map((v) => normalise(v.trim())).filter(Boolean);
+}
+
+// "gold,silver" or ["gold","silver"] → { $in: [...] }; single value → value
+function oneOrMany(value, normalise) {
+  const list = listOf(value, normalise);
+  return list.length > 1 ? { $in: list } : list[0];
+}
+
+// ✅ Helper: ?minX= / ?maxX= → { $gte, $lte } on a numeric field (undefined when neither is given)
+function numberRange(query, minKey, maxKey) {
+  if (query[minKey] === undefined && query[maxKey] === undefined) return undefined;
+  const range = {};
+  if (query[minKey] !== undefined) range.$gte = Number(query[minKey]);
+  if (query[maxKey] !== undefined) range.$lte = Number(query[maxKey]);
+  if (Object.values(range).some(Number.isNaN)) throw new HttpError(400, `${minKey} / ${maxKey} must be numbers`);
+  return range;
+}
+
+// ✅ Mongo filter for the product listing from query parameters
+//   status=active|archived|all, q (name / SKU / HUID), metalType, purity,
+//   lowStock=true, weightBy=gross|net|stone with minWeight / maxWeight,
+//   tags (any of), size, stoneType, minCarat / maxCarat, minLength / maxLength
+// Category filters and category reorder levels are looked up by listProducts and passed in `context`:
+//   categoryIds (the ?category= subtree) and categoryThresholds ([{ ids, lowQuantity }]).
+function buildProductFilter(query = {}, context = {}) {
+  const clauses = [];
+
+  const status = query.status || "active";
+  if (status === "active") clauses.push({ isActive: true });
+  else if (status === "archived") clauses.push({ isActive: false });
+  else if (status !== "all") throw new HttpError(400, "status must be active, archived or all");
+
+  if (query.q) {
+    const text = String(query.q).trim();
+    const prefix = new RegExp(`^${escapeRegex(text.toUpperCase())}`);
+    clauses.push({
+      $or: [
+        { name: new RegExp(escapeRegex(text), "i") },
+        { sku: prefix },
+        { huid: prefix },
+        { legacySkus: prefix },
+      ],
+    });
+  }
+
+  if (query.metalType) clauses.push({ metalType: oneOrMany(query.metalType, (v) => v.toLowerCase()) });
+  if (query.purity) clauses.push({ purity: oneOrMany(query.purity, (v) => v.toUpperCase()) });
+
+  if (context.categoryIds) clauses.push({ categoryId: { $in: context.categoryIds } });
+  if (query.tags) clauses.push({ tags: { $in: listOf(query.tags, (v) => v.toLowerCase()) } });
+  if (query.size) clauses.push({ "attributes.size": oneOrMany(query.size, (v) => v.toUpperCase()) });
+  if (query.stoneType) clauses.push({ "attributes.stoneType": oneOrMany(query.stoneType, (v) => v.toLowerCase()) });
+  const carat = numberRange(query, "minCarat", "maxCarat");
+  if (carat) clauses.push({ "attributes.stoneCarat": carat });
+  const length = numberRange(query, "minLength", "maxLength");
+  if (length) clauses.push({ "attributes.length": length });
+
+  // Own reorder level first; products without one fall back to their category's
+  if (query.lowStock === "true") {
+    clauses.push({
+      $or: [
+        { lowQuantity: { $gt: 0 }, $expr: { $lte: ["$quantity", "$lowQuantity"] } },
+        ...(context.categoryThresholds || []).map((t) => ({
+          lowQuantity: { $not: { $gt: 0 } },
+          categoryId: { $in: t.ids },
+          quantity: { $lte: t.lowQuantity },
+        })),
+      ],
+    });
+  }
+
+  const weight = numberRange(query, "minWeight", "maxWeight");
+  if (weight) {
+    const field = WEIGHT_FIELDS[query.weightBy || "gross"];
+    if (!field) throw new HttpError(400, "weightBy must be gross, net or stone");
+    clauses.push({ [field]: weight });
+  }
+
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// ✅ Parse ?sort=-grossWeight into { field, direction }
+function parseSort(sort = "name") {
+  const direction = String(sort).startsWith("-") ? -1 : 1;
+  const field = String(sort).replace(/^[-+]/, "");
+  if (!SORTABLE.includes(field)) {
+    throw new HttpError(400, `sort must be one of: ${SORTABLE.join(", ")}`);
+  }
+  return { field, direction };
+}
+
+// Cursors are opaque: base64url of { v: last sort value, id: last _id }
+function encodeCursor(doc, field) {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  return Buffer.from(JSON.stringify({ v: value ?? null, id: doc._id.toString() })).toString("base64url");
+}
+
+function decodeCursor(cursor, field) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!mongoose.isValidObjectId(id)) throw new Error();
+    return { value: DATE_FIELDS.has(field) && v !== null ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new HttpError(400, "Invalid cursor");
+  }
+}
+
+// ✅ Everything sorted after the cursor position (missing values sort lowest, as in MongoDB)
+function afterCursor({ value, id }, field, direction) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const after = [{ [field]: value, _id: { [op]: id } }];
+  if (value === null) {
+    if (direction === 1) after.push({ [field]: { $ne: null } });
+  } else {
+    after.push({ [field]: { [op]: value } });
+    if (direction === -1) after.push({ [field]: null });
+  }
+  return { $or: after };
+}
+
+// ✅ Category lookups the filter needs (?category= subtree, category reorder levels for ?lowStock=true)
+async function filterContext(params) {
+  const context = {};
+  if (params.category) context.categoryIds = await resolveCategoryFilter(params.category);
+  if (params.lowStock === "true") {
+    const index = await categoryIndex();
+    const byLevel = new Map();
+    [...index.byId.values()].forEach((c) => {
+      const lowQuantity = index.thresholdOf(c._id);
+      if (lowQuantity > 0) byLevel.set(lowQuantity, [...(byLevel.get(lowQuantity) || []), c._id]);
+    });
+    context.categoryThresholds = [...byLevel].map(([lowQuantity, ids]) => ({ lowQuantity, ids }));
+  }
+  return context;
+}
+
+// ✅ Limit a listing to products stocked at some locations; each item then carries its `locationQuantity`
+async function withLocations(filter, locationIds) {
+  const placed = await StockBalance.distinct("productId", {
+    locationId: { $in: locationIds.map((id) => new mongoose.Types.ObjectId(id)) },
+  });
+  return { $and: [filter, { _id: { $in: placed } }] };
+}
+
+async function attachLocationQuantities(items, locationIds) {
+  const quantities = await quantitiesAt(locationIds, items.map((p) => p._id));
+  return items.map((p) => ({ ...p.toJSON(), locationQuantity: quantities.get(p._id.toString()) || 0 }));
+}
+
+// ✅ One page of products: page/limit paging, or keyset paging when ?cursor= is given (use "" to start)
+// `locationIds` (resolved by the caller from ?locationId=) narrows it to those locations' stock.
+async function listProducts(query = {}, defaults = {}) {
+  const params = { ...query, ...defaults };
+  const { locationIds } = params;
+  let filter = buildProductFilter(params, await filterContext(params));
+  if (locationIds) filter = await withLocations(filter, locationIds);
+  const { field, direction } = parseSort(params.sort);
+  const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sort = { [field]: direction, _id: direction };
+
+  if (params.cursor !== undefined) {
+    let pageFilter = filter;
+    if (params.cursor) {
+      pageFilter = { $and: [filter, afterCursor(decodeCursor(params.cursor, field), field, direction)] };
+    }
+    const [docs, total] = await Promise.all([
+      Product.find(pageFilter).sort(sort).limit(limit + 1),
+      Product.countDocuments(filter),
+    ]);
+    const page = docs.slice(0, limit);
+    const nextCursor = docs.length > limit ? encodeCursor(page[page.length - 1], field) : null;
+    const items = locationIds ? await attachLocationQuantities(page, locationIds) : page;
+    return { items, limit, total, nextCursor };
+  }
+
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const [docs, total] = await Promise.all([
+    Product.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+    Product.countDocuments(filter),
+  ]);
+  const items = locationIds ? await attachLocationQuantities(docs, locationIds) : docs;
+  return { items, page, limit, total, pages: Math.ceil(total / limit) };
+}
+
+module.exports = { buildProductFilter, filterContext, listProducts, SORTABLE };
@@ -0,0 +1,96 @@
+// utils/reportScheduler.js
+// Runs saved ReportDefinitions on their daily / monthly schedule (shop time), writing files to REPORTS_DIR
+// (default ./reports) and optionally handing them to the notification outbox.
+const fs = require("fs/promises");
+const path = require("path");
+const ReportDefinition = require("../models/ReportDefinition");
+const { buildReport } = require("./reports");
+const { renderReport } = require("./exporters");
+const { enqueue } = require("./notify");
+const { toDateKey, localParts } = require("./businessDate");
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, "..", "reports");
+
+// ✅ Key of the run that is due now ("YYYY-MM-DD" daily, "YYYY-MM" monthly), or null if not yet due
+function dueRunKey(definition, now = new Date()) {
+  const { frequency, hour = 8, dayOfMonth = 1 } = definition.schedule;
+  if (localParts(now).hour < hour) return null;
+
+  const dateKey = toDateKey(now);
+  if (frequency === "daily") return dateKey;
+  if (frequency === "monthly" && Number(dateKey.slice(8)) >= dayOfMonth) return dateKey.slice(0, 7);
+  return null;
+}
+
+// ✅ Build, render and deliver one definition now; returns the written file path
+async function runDefinition(definition, runKey = toDateKey()) {
+  const report = await buildReport(definition.report, definition.params || {});
+  report.filename = `${definition.name.replace(/[^\w-]+/g, "_")}_${runKey}`;
+  const { buffer, filename } = renderReport(report, definition.format);
+
+  await fs.mkdir(REPORTS_DIR, { recursive: true });
+  const filePath = path.join(REPORTS_DIR, filename);
+  await fs.writeFile(filePath, buffer);
+
+  if (definition.delivery?.mode === "outbox") {
+    await enqueue({
+      event: "report",
+      subject: `${definition.name} (${runKey})`,
+      text: `${report.title}${report.subtitle ? ` — ${report.subtitle}` : ""}: ${report.rows.length} row(s).`,
+      payload: { definitionId: definition._id, report: definition.report, runKey, file: filename },
+      attachments: [{ filename, path: filePath }],
+      channels: definition.delivery.channels?.length ? definition.delivery.channels : undefined,
+      dedupeKey: `report:${definition._id}:${runKey}`,
+    });
+  }
+
+  await ReportDefinition.updateOne(
+    { _id: definition._id },
+    { $set: { lastRunAt: new Date(), lastFile: filePath }, $unset: { lastError: "" } }
+  );
+  return filePath;
+}
+
+// ✅ Run every active definition that is due and hasn't run for this period
+// The run key is claimed atomically first, so two server instances never both run it.
+async function runDueReports(now = new Date()) {
+  const definitions = await ReportDefinition.find({ isActive: true });
+  for (const definition of definitions) {
+    const runKey = dueRunKey(definition, now);
+    if (!runKey || definition.lastRunKey === runKey) continue;
+
+    const claimed = await ReportDefinition.findOneAndUpdate(
+      { _id: definition._id, lastRunKey: { $ne: runKey } },
+      { $set: { lastRunKey: runKey } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      await runDefinition(claimed, runKey);
+    } catch (err) {
+      console.error(`❌ Scheduled report "${claimed.name}" failed:`, err);
+      await ReportDefinition.updateOne({ _id: claimed._id }, { $set: { lastError: err.message } });
+    }
+  }
+}
+
+// ✅ Check for due reports every 10 minutes
+function startReportScheduler() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueReports();
+    } catch (err) {
+      console.error("❌ Report scheduler error:", err);
+    } finally {
+      running = false;
+    }
+  }, 10 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { REPORTS_DIR, dueRunKey, runDefinition, runDueReports, startReportScheduler };
@@ -0,0 +1,358 @@
+// utils/reports.js
+// Report datasets: each resolves its date range once and builds the rows once;
+// utils/exporters.js renders the result as XLSX, PDF, CSV or JSON.
+const TransactionLog = require("../models/TransactionLog");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const { resolveDateRange, rangeMatch } = require("./dateRange");
+const { buildReorderDigest } = require("./stockAlerts");
+const { HttpError } = require("./httpError");
+const { formatDateTime, toDateKey, addDays, dayBounds } = require("./businessDate");
+const { balancesAt, closedThrough, locationMovementMatch } = require("./dayClose");
+const { quantitiesAt, inTransitQuantities } = require("./locations");
+const { locationDailyLogs } = require("./stock");
+const { categoryIndex } = require("./categories");
+
+// ✅ Daily transaction rows with the product's metal, purity, weights and HUID
+// (?type=&start=&end=&sort=asc|desc&locationId=a,b; oldest first by default)
+// With locations, the rows are built from the ledger for the stock held there (see locationDailyLogs).
+async function transactionsReport(params) {
+  const range = resolveDateRange(params);
+  const locationIds = reportLocationIds(params);
+  const logs = locationIds ? await locationTransactionRows(range, locationIds, params.sort) : await TransactionLog.aggregate([
+    { $match: rangeMatch("updatedAt", range) },
+    {
+      $lookup: {
+        from: "products",
+        localField: "productId",
+        foreignField: "_id",
+        pipeline: [
+          { $project: { sku: 1, name: 1, isActive: 1, metalType: 1, purity: 1, grossWeight: 1, netWeight: 1, huid: 1 } },
+        ],
+        as: "productInfo",
+      },
+    },
+    { $unwind: { path: "$productInfo", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        sku: { $ifNull: ["$productInfo.sku", "$sku"] },
+        name: { $ifNull: ["$productInfo.name", "$productName"] },
+        metalType: "$productInfo.metalType",
+        purity: "$productInfo.purity",
+        grossWeight: "$productInfo.grossWeight",
+        netWeight: "$productInfo.netWeight",
+        huid: "$productInfo.huid",
+        openingQty: 1,
+        addedQty: 1,
+        soldQty: 1,
+        closingQty: 1,
+        remarks: 1,
+        updatedAt: 1,
+        archived: { $cond: [{ $eq: ["$productInfo.isActive", false] }, "Yes", "No"] },
+      },
+    },
+    { $sort: { updatedAt: params.sort === "desc" ? -1 : 1, _id: 1 } },
+  ]);
+
+  return {
+    title: locationIds ? "Jewellery Inventory Transactions (selected locations)" : "Jewellery Inventory Transactions",
+    subtitle: `Range: ${range.rangeLabel}`,
+    sheetName: `Transactions - ${range.rangeLabel}`,
+    filename: `transactions_${params.type || "all"}_${Date.now()}`,
+    columns: [
+      "SKU", "Name", "Metal", "Purity", "Gross Wt (g)", "Net Wt (g)", "HUID",
+      "Opening", "Added", "Sold", "Closing", "Remarks", "Updated At", "Archived",
+    ],
+    rows: logs.map((l) => ({
+      SKU: l.sku || "",
+      Name: l.name || "",
+      Metal: l.metalType || "",
+      Purity: l.purity || "",
+      "Gross Wt (g)": l.grossWeight || 0,
+      "Net Wt (g)": l.netWeight || 0,
+      HUID: l.huid || "",
+      Opening: l.openingQty ?? 0,
+      Added: l.addedQty ?? 0,
+      Sold: l.soldQty ?? 0,
+      Closing: l.closingQty ?? 0,
+      Remarks: l.remarks || "",
+      "Updated At": formatDateTime(l.updatedAt),
+      Archived: l.archived || "No",
+    })),
+  };
+}
+
+// ✅ Helper: transaction rows for the stock at `locationIds`, in the shape of the TransactionLog pipeline above
+async function locationTransactionRows({ startDate, endDate }, locationIds, sort) {
+  const logs = (await locationDailyLogs(locationIds))
+    .filter((l) => !startDate || !endDate || (l.date >= startDate && l.date <= endDate));
+  const products = await Product.find({ _id: { $in: [...new Set(logs.map((l) => l.productId.toString()))] } })
+    .select("sku name isActive metalType purity grossWeight netWeight huid")
+    .lean();
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return logs
+    .map((l) => {
+      const p = byId.get(l.productId.toString()) || {};
+      return {
+        sku: p.sku || l.sku,
+        name: p.name || l.productName,
+        metalType: p.metalType,
+        purity: p.purity,
+        grossWeight: p.grossWeight,
+        netWeight: p.netWeight,
+        huid: p.huid,
+        openingQty: l.openingQty,
+        addedQty: l.addedQty,
+        soldQty: l.soldQty,
+        closingQty: l.closingQty,
+        remarks: l.remarks,
+        updatedAt: l.date,
+        archived: p.isActive === false ? "Yes" : "No",
+      };
+    })
+    .sort((a, b) => (sort === "desc" ? b.updatedAt - a.updatedAt : a.updatedAt - b.updatedAt));
+}
+
+// ✅ Helper: location ids a report is limited to (routes pass `locationIds` already checked against the
+// user's scope; saved definitions carry `locationId` as "a,b"); null = consolidated
+function reportLocationIds(params) {
+  if (params.locationIds !== undefined) return params.locationIds;
+  return params.locationId ? String(params.locationId).split(",").filter(Boolean) : null;
+}
+
+// ✅ Helper: order rows by Category (then as given); with groupBy=category, follow each category
+// with a subtotal row summing `sums` columns
+const UNCATEGORISED = "Uncategorised";
+
+function groupByCategory(rows, { groupBy, sums = [] } = {}) {
+  const order = (c) => (c === UNCATEGORISED ? "\uffff" : c); // uncategorised last
+  const sorted = rows
+    .map((row, i) => ({ row, i }))
+    .sort((a, b) => order(a.row.Category).localeCompare(order(b.row.Category)) || a.i - b.i)
+    .map(({ row }) => row);
+  if (groupBy !== "category") return sorted;
+
+  const out = [];
+  sorted.forEach((row, i) => {
+    out.push(row);
+    if (sorted[i + 1]?.Category === row.Category) return;
+    const group = sorted.filter((r) => r.Category === row.Category);
+    const subtotal = { Category: row.Category, Name: "Subtotal" };
+    sums.forEach((col) => {
+      subtotal[col] = Math.round(group.reduce((sum, r) => sum + (Number(r[col]) || 0), 0) * 1000) / 1000;
+    });
+    out.push(subtotal);
+  });
+  return out;
+}
+
+// ✅ Current stock of every active product with weights, by category (?groupBy=category adds subtotals)
+// Consolidated, Qty includes pieces in transit between locations; with locations, only their stock.
+async function stockReport(params = {}) {
+  const locationIds = reportLocationIds(params);
+  const [allProducts, located, inTransit, categories] = await Promise.all([
+    Product.find({ isActive: true }).sort({ sku: 1 }).lean(),
+    locationIds ? quantitiesAt(locationIds) : null,
+    locationIds ? null : inTransitQuantities(),
+    categoryIndex(),
+  ]);
+  const products = located
+    ? allProducts
+      .filter((p) => located.get(p._id.toString()))
+      .map((p) => ({ ...p, quantity: located.get(p._id.toString()) }))
+    : allProducts;
+  const columns = [
+    "Category", "SKU", "Name", "Metal", "Purity", "HUID", "Tags",
+    "Qty", "Low Qty", "Gross Wt (g)", "Net Wt (g)", "Total Net Wt (g)",
+  ];
+  if (inTransit) columns.splice(columns.indexOf("Low Qty"), 0, "In Transit");
+  const rows = products.map((p) => ({
+    Category: categories.pathOf(p.categoryId) || UNCATEGORISED,
+    SKU: p.sku || "",
+    Name: p.name,
+    Metal: p.metalType || "",
+    Purity: p.purity || "",
+    HUID: p.huid || "",
+    Tags: (p.tags || []).join(", "),
+    Qty: p.quantity,
+    ...(inTransit && { "In Transit": inTransit.get(p._id.toString()) || 0 }),
+    "Low Qty": p.lowQuantity,
+    "Gross Wt (g)": p.grossWeight || 0,
+    "Net Wt (g)": p.netWeight || 0,
+    "Total Net Wt (g)": Math.round((p.netWeight || 0) * p.quantity * 1000) / 1000,
+  }));
+
+  return {
+    title: locationIds ? "Stock Summary (selected locations)" : "Stock Summary",
+    subtitle: `As of ${formatDateTime(new Date())}`,
+    sheetName: "Stock",
+    filename: `stock_${Date.now()}`,
+    columns,
+    rows: groupByCategory(rows, {
+      groupBy: params.groupBy,
+      sums: ["Qty", ...(inTransit ? ["In Transit"] : []), "Total Net Wt (g)"],
+    }),
+  };
+}
+
+// ✅ Items at or below their reorder level, by category (with locations, judged on their stock only)
+async function reorderReport(params = {}) {
+  const locationIds = reportLocationIds(params);
+  const items = await buildReorderDigest({ locationIds });
+  return {
+    title: locationIds ? "Reorder List (selected locations)" : "Reorder List",
+    subtitle: `As of ${formatDateTime(new Date())}`,
+    sheetName: "Reorder",
+    filename: `reorder_${Date.now()}`,
+    columns: ["Category", "SKU", "Name", "Metal", "Purity", "Qty", "Reorder Level", "Suggested Qty", "Alert"],
+    rows: groupByCategory(items.map((i) => ({
+      Category: i.category || UNCATEGORISED,
+      SKU: i.sku || "",
+      Name: i.name,
+      Metal: i.metalType || "",
+      Purity: i.purity || "",
+      Qty: i.quantity,
+      "Reorder Level": i.lowQuantity,
+      "Suggested Qty": i.reorderQty,
+      Alert: i.alertStatus,
+    })), { groupBy: params.groupBy, sums: ["Qty", "Suggested Qty"] }),
+  };
+}
+
+// ✅ Helper: "YYYY-MM" from ?month=YYYY-MM | current | previous (default current)
+function resolveMonth(month = "current") {
+  const today = toDateKey();
+  if (month === "current") return today.slice(0, 7);
+  if (month === "previous") return addDays(`${today.slice(0, 7)}-01`, -1).slice(0, 7);
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) throw new HttpError(400, "month must be YYYY-MM, current or previous");
+  return month;
+}
+
+// ✅ Month-end stock register: opening, receipts, issues and closing per SKU in pieces and net grams
+// Built from the movement ledger; marked provisional until every day of the month is closed.
+// Consolidated, transfers between locations are neither receipts nor issues; for a location they are.
+// Rows are ordered by category; ?groupBy=category adds a subtotal per category.
+async function stockRegisterReport(params) {
+  const month = resolveMonth(params.month);
+  const locationIds = reportLocationIds(params);
+  const firstDay = `${month}-01`;
+  const lastDay = addDays(`${addDays(firstDay, 31).slice(0, 7)}-01`, -1);
+  const { start } = dayBounds(firstDay);
+  const { end } = dayBounds(lastDay);
+
+  const [products, openings, flows, through, categories] = await Promise.all([
+    Product.find({ $or: [{ createdAt: { $lte: end } }, { createdAt: { $exists: false } }] })
+      .select("sku name metalType purity netWeight quantity categoryId")
+      .sort({ sku: 1 })
+      .lean(),
+    balancesAt(new Date(start.getTime() - 1), { locationIds }),
+    StockMovement.aggregate([
+      {
+        $match: {
+          date: { $gte: start, $lte: end },
+          ...(locationIds ? await locationMovementMatch(locationIds) : { type: { $ne: "transfer" } }),
+        },
+      },
+      {
+        $group: {
+          _id: "$productId",
+          receipts: { $sum: { $cond: [{ $gt: ["$quantity", 0] }, "$quantity", 0] } },
+          issues: { $sum: { $cond: [{ $lt: ["$quantity", 0] }, { $abs: "$quantity" }, 0] } },
+        },
+      },
+    ]),
+    closedThrough(),
+    categoryIndex(),
+  ]);
+  const flowByProduct = new Map(flows.map((f) => [f._id.toString(), f]));
+  const grams = (pcs, unit) => Math.round(pcs * (unit || 0) * 1000) / 1000;
+
+  const totals = { open: 0, openWt: 0, rec: 0, recWt: 0, iss: 0, issWt: 0, close: 0, closeWt: 0 };
+  const rows = [];
+  products.forEach((p) => {
+    const id = p._id.toString();
+    const flow = flowByProduct.get(id) || { receipts: 0, issues: 0 };
+    const opening = openings.get(id) ?? (locationIds ? 0 : p.quantity);
+    const closing = opening + flow.receipts - flow.issues;
+    if (!opening && !flow.receipts && !flow.issues && !closing) return;
+
+    const line = {
+      open: opening, openWt: grams(opening, p.netWeight),
+      rec: flow.receipts, recWt: grams(flow.receipts, p.netWeight),
+      iss: flow.issues, issWt: grams(flow.issues, p.netWeight),
+      close: closing, closeWt: grams(closing, p.netWeight),
+    };
+    Object.keys(totals).forEach((k) => (totals[k] = Math.round((totals[k] + line[k]) * 1000) / 1000));
+    rows.push({
+      Category: categories.pathOf(p.categoryId) || UNCATEGORISED,
+      SKU: p.sku || "",
+      Name: p.name,
+      Metal: p.metalType || "",
+      Purity: p.purity || "",
+      ...line,
+    });
+  });
+
+  const toColumns = (r) => ({
+    Category: r.Category,
+    SKU: r.SKU,
+    Name: r.Name,
+    Metal: r.Metal,
+    Purity: r.Purity,
+    "Opening Pcs": r.open,
+    "Opening Wt (g)": r.openWt,
+    "Receipts Pcs": r.rec,
+    "Receipts Wt (g)": r.recWt,
+    "Issues Pcs": r.iss,
+    "Issues Wt (g)": r.issWt,
+    "Closing Pcs": r.close,
+    "Closing Wt (g)": r.closeWt,
+  });
+  const status = through && through >= lastDay ? "Closed" : "Provisional";
+
+  return {
+    title: `Stock Register — ${month}${locationIds ? " (selected locations)" : ""}`,
+    subtitle: `${firstDay} to ${lastDay} · ${status} · weights are net grams`,
+    sheetName: `Stock Register ${month}`,
+    filename: `stock_register_${month}`,
+    columns: Object.keys(toColumns({})),
+    rows: [
+      ...groupByCategory(rows, { groupBy: params.groupBy, sums: Object.keys(totals) }).map(toColumns),
+      toColumns({ Category: "", SKU: "TOTAL", Name: "", Metal: "", Purity: "", ...totals }),
+    ],
+  };
+}
+
+const REPORTS = {
+  transactions: {
+    description: "Daily opening / added / sold / closing per product (?type=&start=&end=&locationId=a,b)",
+    build: transactionsReport,
+  },
+  stock: {
+    description: "Current stock and weights of active products (?locationId=a,b&groupBy=category)",
+    build: stockReport,
+  },
+  reorder: {
+    description: "Items at or below their reorder level (?locationId=a,b&groupBy=category)",
+    build: reorderReport,
+  },
+  "stock-register": {
+    description: "Month-end opening / receipts / issues / closing per SKU (?month=YYYY-MM|current|previous&locationId=&groupBy=category)",
+    build: stockRegisterReport,
+  },
+};
+
+// ✅ Add or replace a dataset: { description, build(params) → report }
+function registerReport(name, definition) {
+  REPORTS[name] = definition;
+}
+
+// ✅ Build a named report from query-style params
+async function buildReport(name, params = {}) {
+  const report = REPORTS[name];
+  if (!report) throw new HttpError(404, `Unknown report "${name}"`);
+  return report.build(params);
+}
+
+module.exports = { REPORTS, registerReport, buildReport };
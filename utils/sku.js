@@ -0,0 +1,151 @@
+// utils/sku.js
+const Product = require("../models/Product");
+const Counter = require("../models/Counter");
+const Category = require("../models/Category");
+const TransactionLog = require("../models/TransactionLog");
+const { withTransaction } = require("./db");
+const { toDateKey } = require("./businessDate");
+
+// Pattern tokens: {NAME} {METAL} {PURITY} {CATEGORY} {YYYY} {YY} {SEQ} / {SEQ:n}
+// The default keeps the legacy look (first two letters + 2-digit number, e.g. "RI07").
+const DEFAULT_PATTERN = "{NAME}{SEQ:2}";
+const METAL_CODES = { gold: "GO", silver: "SI", platinum: "PT" };
+const SEQ_TOKEN = /\{SEQ(?::(\d+))?\}/;
+
+function getPattern() {
+  return process.env.SKU_PATTERN || DEFAULT_PATTERN;
+}
+
+// ✅ Check a pattern has exactly one {SEQ} and only known tokens
+function validatePattern(pattern) {
+  const tokens = pattern.match(/\{[^}]*\}/g) || [];
+  const unknown = tokens.filter((t) => !/^\{(NAME|METAL|PURITY|CATEGORY|YYYY|YY|SEQ(:\d+)?)\}$/.test(t));
+  if (unknown.length) return `Unknown token(s): ${unknown.join(", ")}`;
+  if (tokens.filter((t) => t.startsWith("{SEQ")).length !== 1) return "Pattern must contain exactly one {SEQ}";
+  return null;
+}
+
+// ✅ {CATEGORY} code: the product's category code, "GEN" when it has none
+async function categoryCode(product, session) {
+  if (!product.categoryId) return "GEN";
+  const category = await Category.findById(product.categoryId).select("code").session(session || null);
+  return category ? category.code : "GEN";
+}
+
+// ✅ Fill every token except {SEQ} from the product
+function renderScope(pattern, product, category = "GEN") {
+  const year = toDateKey().slice(0, 4);
+  const name = String(product.name || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return pattern
+    .replace(/\{NAME\}/g, name.slice(0, 2) || "XX")
+    .replace(/\{METAL\}/g, METAL_CODES[product.metalType] || "XX")
+    .replace(/\{PURITY\}/g, product.purity || "NA")
+    .replace(/\{CATEGORY\}/g, category)
+    .replace(/\{YYYY\}/g, year)
+    .replace(/\{YY\}/g, year.slice(2));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ✅ Regex matching SKUs produced by a pattern (used to spot legacy SKUs)
+function patternRegex(pattern) {
+  const source = escapeRegex(pattern)
+    .replace(/\\\{NAME\\\}/g, "[A-Z0-9]{1,2}")
+    .replace(/\\\{METAL\\\}/g, "[A-Z]{2}")
+    .replace(/\\\{PURITY\\\}/g, "[A-Z0-9]+")
+    .replace(/\\\{CATEGORY\\\}/g, "[A-Z0-9]+")
+    .replace(/\\\{YYYY\\\}/g, "\\d{4}")
+    .replace(/\\\{YY\\\}/g, "\\d{2}")
+    .replace(/\\\{SEQ(?::\d+)?\\\}/g, "\\d+");
+  return new RegExp(`^${source}$`);
+}
+
+function splitScope(scope) {
+  const match = scope.match(SEQ_TOKEN);
+  return {
+    prefix: scope.slice(0, match.index),
+    suffix: scope.slice(match.index + match[0].length),
+    width: Number(match[1]) || 4,
+  };
+}
+
+// ✅ Highest number already used in a scope (compared numerically, so GO10 beats GO9)
+async function maxExistingSeq(prefix, suffix, session) {
+  const regex = new RegExp(`^${escapeRegex(prefix)}(\\d+)${escapeRegex(suffix)}$`);
+  const existing = await Product.find({ sku: regex }).select("sku").session(session || null);
+  return existing.reduce((m, p) => Math.max(m, Number(p.sku.match(regex)[1])), 0);
+}
+
+// ✅ Seed a new counter from existing SKUs so legacy numbers are never reissued
+async function seedCounter(key, prefix, suffix, session) {
+  const exists = await Counter.exists({ _id: key }).session(session || null);
+  if (exists) return;
+  const max = await maxExistingSeq(prefix, suffix, session);
+  await Counter.updateOne({ _id: key }, { $max: { seq: max } }, { upsert: true, session });
+}
+
+// ✅ Next SKU for a product: atomic per-scope counter, unique across concurrent adds
+async function generateSku(product, { session, pattern = getPattern() } = {}) {
+  const invalid = validatePattern(pattern);
+  if (invalid) throw new Error(`Invalid SKU pattern "${pattern}": ${invalid}`);
+  const { prefix, suffix, width } = splitScope(renderScope(pattern, product, await categoryCode(product, session)));
+  const key = `sku:${prefix}#${suffix}`;
+  await seedCounter(key, prefix, suffix, session);
+  const seq = await Counter.next(key, { session });
+  return `${prefix}${String(seq).padStart(width, "0")}${suffix}`;
+}
+
+// ✅ What the next SKU would be, without consuming a number
+async function previewSku(product, { pattern = getPattern() } = {}) {
+  const { prefix, suffix, width } = splitScope(renderScope(pattern, product, await categoryCode(product)));
+  const key = `sku:${prefix}#${suffix}`;
+  const counter = await Counter.findById(key);
+  const seq = counter ? counter.seq : await maxExistingSeq(prefix, suffix);
+  return `${prefix}${String(seq + 1).padStart(width, "0")}${suffix}`;
+}
+
+// ✅ Startup migration: re-key products that share a SKU (or have a blank one), then build the Product indexes
+// The oldest product keeps a duplicated SKU; the others get a fresh one and keep the old one in legacySkus.
+// Runs before createIndexes because the unique sku index cannot be built while duplicates exist.
+async function ensureSkuIndex() {
+  const groups = await Product.aggregate([
+    { $match: { sku: { $type: "string" } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: "$sku", ids: { $push: "$_id" } } },
+    { $match: { $or: [{ _id: "" }, { "ids.1": { $exists: true } }] } },
+  ]);
+
+  for (const group of groups) {
+    const ids = group._id ? group.ids.slice(1) : group.ids;
+    for (const id of ids) {
+      try {
+        await withTransaction(async (session) => {
+          const product = await Product.findById(id).session(session);
+          const oldSku = product.sku;
+          const newSku = await generateSku(product, { session });
+          if (oldSku) product.legacySkus = [...(product.legacySkus || []), oldSku];
+          product.sku = newSku;
+          await product.save({ session });
+          await TransactionLog.updateMany(
+            { productId: product._id, locked: { $ne: true } },
+            { $set: { sku: newSku } },
+            { session }
+          );
+          console.warn(`⚠️ Duplicate SKU "${oldSku}" on product ${product._id} re-keyed to ${newSku}`);
+        });
+      } catch (err) {
+        console.error(`❌ Could not re-key duplicate SKU "${group._id}" on product ${id}:`, err.message);
+      }
+    }
+  }
+
+  try {
+    await Product.createIndexes();
+  } catch (err) {
+    console.error("❌ Product index build failed:", err.message);
+  }
+}
+
+module.exports = { DEFAULT_PATTERN, getPattern, validatePattern, patternRegex, generateSku, previewSku, ensureSkuIndex };
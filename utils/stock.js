@@ -0,0 +1,181 @@
+// utils/stock.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const TransactionLog = require("../models/TransactionLog");
+const InventoryHistory = require("../models/InventoryHistory");
+const StockMovement = require("../models/StockMovement");
+const StockBalance = require("../models/StockBalance");
+const { toDateKey, dayBounds } = require("./businessDate");
+const { HttpError } = require("./httpError");
+const { checkLowStock } = require("./stockAlerts");
+const { assertDayOpen, locationMovementMatch } = require("./dayClose");
+const { defaultLocation, quantitiesAt } = require("./locations");
+
+// ✅ Append one movement to the ledger, then re-derive the product's daily rollup
+// `quantity` is signed: positive into stock, negative out of stock, booked at `locationId` (default location
+// when omitted). Transfers move stock between locations and leave the product total unchanged.
+// Stock is changed with conditional $inc updates, so concurrent sales can never drive a location below zero;
+// pass a session so the ledger entry, rollup and any low-stock alert commit with it.
+async function recordMovement(
+  product,
+  { type, quantity, userId, reason = "", reference = "", locationId },
+  { session } = {}
+) {
+  const delta = Number(quantity);
+  if (!Number.isInteger(delta) || delta === 0) {
+    throw new HttpError(400, "Quantity must be a non-zero whole number");
+  }
+  const dayKey = toDateKey();
+  await assertDayOpen(dayKey, { session });
+  const location = locationId || (await defaultLocation({ session }))._id;
+
+  const balanceFilter = { productId: product._id, locationId: location };
+  if (delta < 0) balanceFilter.quantity = { $gte: -delta };
+  const balance = await StockBalance.findOneAndUpdate(
+    balanceFilter,
+    { $inc: { quantity: delta } },
+    { new: true, upsert: delta > 0, session }
+  );
+  if (!balance) {
+    const exists = await Product.exists({ _id: product._id }).session(session || null);
+    if (!exists) throw new HttpError(404, "Product not found");
+    throw new HttpError(409, `Insufficient stock for ${product.sku || product.name} at this location`);
+  }
+
+  const change = StockMovement.productDelta({ type, quantity: delta });
+  let updated;
+  if (change) {
+    const filter = { _id: product._id };
+    if (change < 0) filter.quantity = { $gte: -change };
+    updated = await Product.findOneAndUpdate(
+      filter,
+      { $inc: { quantity: change } },
+      { new: true, session, projection: { quantity: 1, lowQuantity: 1, categoryId: 1 } }
+    );
+  } else {
+    updated = await Product.findById(product._id, { quantity: 1, lowQuantity: 1, categoryId: 1 }).session(session || null);
+  }
+  if (!updated) {
+    const exists = await Product.exists({ _id: product._id }).session(session || null);
+    if (!exists) throw new HttpError(404, "Product not found");
+    throw new HttpError(409, `Insufficient stock for ${product.sku || product.name}`);
+  }
+
+  const [movement] = await StockMovement.create(
+    [{
+      productId: product._id,
+      sku: product.sku,
+      type,
+      quantity: delta,
+      balanceAfter: updated.quantity,
+      locationId: location,
+      locationBalanceAfter: balance.quantity,
+      dayKey,
+      userId,
+      reason,
+      reference,
+    }],
+    { session }
+  );
+
+  product.quantity = movement.balanceAfter;
+  await rollupDay(product, dayKey, { session });
+  if (change) await checkLowStock(product, updated, { session });
+  return movement;
+}
+
+// ✅ Rebuild a product's daily snapshot (InventoryHistory + TransactionLog) from that day's movements
+async function rollupDay(product, dayKey, { session } = {}) {
+  const movements = await StockMovement.find({ productId: product._id, dayKey })
+    .sort({ date: 1, _id: 1 })
+    .session(session || null);
+  if (!movements.length) return null;
+
+  const first = movements[0];
+  const last = movements[movements.length - 1];
+  // Transfers between locations don't change the product total, so they are left out of added / sold
+  const deltas = movements.map(StockMovement.productDelta);
+  const openingQty = first.balanceAfter - deltas[0];
+  const addedQty = deltas.filter((d) => d > 0).reduce((sum, d) => sum + d, 0);
+  const soldQty = deltas.filter((d) => d < 0).reduce((sum, d) => sum - d, 0);
+  const closingQty = last.balanceAfter;
+  const remarks = [...new Set(movements.map((m) => m.reference || m.reason).filter(Boolean))].join("; ");
+
+  const { start, end } = dayBounds(dayKey);
+  const totals = { openingQty, addedQty, soldQty, closingQty };
+
+  await InventoryHistory.findOneAndUpdate(
+    { productId: product._id, dayKey },
+    { $set: { ...totals, date: start } },
+    { upsert: true, session }
+  );
+
+  // 🧾 TransactionLog keeps one row per business day for the calendar & exports
+  let dayTxn = await TransactionLog.findOne({
+    productId: product._id,
+    date: { $gte: start, $lte: end },
+  }).session(session || null);
+  if (!dayTxn) {
+    dayTxn = new TransactionLog({ productId: product._id, date: first.date });
+  }
+  dayTxn.set({ ...totals, productName: product.name, sku: product.sku, remarks });
+  await dayTxn.save({ session });
+
+  // 🧾 Update Product current snapshot
+  product.set(totals);
+  product.quantity = closingQty;
+  await product.save({ session });
+
+  return dayTxn;
+}
+
+// ✅ TransactionLog-shaped daily rows for the stock held at `locationIds`, newest day first
+// Built from the ledger, walking back from today's balance there; transfers in and out count as added / sold.
+async function locationDailyLogs(locationIds, { productId } = {}) {
+  const match = await locationMovementMatch(locationIds);
+  if (productId) match.productId = new mongoose.Types.ObjectId(String(productId));
+
+  const [days, current] = await Promise.all([
+    StockMovement.aggregate([
+      { $match: match },
+      { $sort: { date: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { productId: "$productId", dayKey: "$dayKey" },
+          date: { $first: "$date" },
+          sku: { $last: "$sku" },
+          addedQty: { $sum: { $cond: [{ $gt: ["$quantity", 0] }, "$quantity", 0] } },
+          soldQty: { $sum: { $cond: [{ $lt: ["$quantity", 0] }, { $abs: "$quantity" }, 0] } },
+          notes: { $push: { $cond: [{ $gt: [{ $ifNull: ["$reference", ""] }, ""] }, "$reference", "$reason"] } },
+        },
+      },
+      { $sort: { "_id.dayKey": -1 } },
+    ]),
+    quantitiesAt(locationIds, productId ? [match.productId] : undefined),
+  ]);
+  const productIds = [...new Set(days.map((d) => d._id.productId.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } }).select("name").lean();
+  const names = new Map(products.map((p) => [p._id.toString(), p.name]));
+
+  const closing = new Map();
+  return days.map((d) => {
+    const id = d._id.productId.toString();
+    const closingQty = closing.has(id) ? closing.get(id) : current.get(id) || 0;
+    const openingQty = closingQty - d.addedQty + d.soldQty;
+    closing.set(id, openingQty);
+    return {
+      productId: d._id.productId,
+      productName: names.get(id) || "",
+      sku: d.sku,
+      dayKey: d._id.dayKey,
+      date: d.date,
+      openingQty,
+      addedQty: d.addedQty,
+      soldQty: d.soldQty,
+      closingQty,
+      remarks: [...new Set(d.notes.filter(Boolean))].join("; "),
+    };
+  });
+}
+
+module.exports = { recordMovement, rollupDay, locationDailyLogs };
@@ -0,0 +1,131 @@
+// utils/stockAlerts.js
+const Product = require("../models/Product");
+const StockAlert = require("../models/StockAlert");
+const { enqueue } = require("./notify");
+const { toDateKey, localParts } = require("./businessDate");
+const { categoryIndex, effectiveLowQuantity } = require("./categories");
+const { quantitiesAt } = require("./locations");
+
+// ✅ Raise, refresh or resolve the product's low-stock alert after its quantity changed
+// Only products with a reorder level (> 0) are watched: their own lowQuantity, else their category's.
+// A new alert queues a notification in the same session, so a rolled-back sale never notifies.
+async function checkLowStock(product, { quantity, lowQuantity: own, categoryId }, { session } = {}) {
+  const lowQuantity = own > 0 || !categoryId
+    ? own
+    : effectiveLowQuantity({ lowQuantity: own, categoryId }, await categoryIndex({ session }));
+  const active = await StockAlert.findOne({ productId: product._id, active: true }).session(session || null);
+
+  if (lowQuantity > 0 && quantity <= lowQuantity) {
+    if (active) {
+      active.set({ quantity, lowQuantity });
+      await active.save({ session });
+      return active;
+    }
+    const [alert] = await StockAlert.create(
+      [{ productId: product._id, sku: product.sku, name: product.name, quantity, lowQuantity }],
+      { session }
+    );
+    await enqueue(
+      {
+        event: "stock.low",
+        subject: `Low stock: ${product.name} (${product.sku})`,
+        text: `${product.name} (${product.sku}) is down to ${quantity} pcs (reorder level ${lowQuantity}).`,
+        payload: { alertId: alert._id, productId: product._id, sku: product.sku, quantity, lowQuantity },
+      },
+      { session }
+    );
+    return alert;
+  }
+
+  if (active) {
+    active.set({ status: "resolved", active: false, resolvedAt: new Date(), quantity, lowQuantity });
+    await active.save({ session });
+  }
+  return null;
+}
+
+// ✅ Active products at or below their reorder level, with the state of their alert
+// Alerts snoozed into the future are left out until the snooze ends.
+// Products without their own reorder level use their category's.
+// With `locationIds`, the stock held at those locations is compared with the reorder level instead.
+async function buildReorderDigest({ locationIds } = {}) {
+  const index = await categoryIndex();
+  const watched = [...index.byId.keys()].filter((id) => index.thresholdOf(id) > 0);
+  const ownLevel = locationIds
+    ? { lowQuantity: { $gt: 0 } }
+    : { lowQuantity: { $gt: 0 }, $expr: { $lte: ["$quantity", "$lowQuantity"] } };
+  const [candidates, alerts, located] = await Promise.all([
+    Product.find({
+      isActive: true,
+      $or: [ownLevel, { lowQuantity: { $not: { $gt: 0 } }, categoryId: { $in: watched } }],
+    })
+      .select("sku name quantity lowQuantity categoryId metalType purity")
+      .sort({ quantity: 1, sku: 1 })
+      .lean(),
+    StockAlert.find({ active: true }).lean(),
+    locationIds ? quantitiesAt(locationIds) : null,
+  ]);
+  const alertByProduct = new Map(alerts.map((a) => [a.productId.toString(), a]));
+  const now = new Date();
+  const products = candidates
+    .map((p) => ({
+      ...p,
+      quantity: located ? located.get(p._id.toString()) || 0 : p.quantity,
+      lowQuantity: effectiveLowQuantity(p, index),
+    }))
+    .filter((p) => p.quantity <= p.lowQuantity);
+  if (located) products.sort((a, b) => a.quantity - b.quantity || String(a.sku).localeCompare(String(b.sku)));
+
+  return products
+    .map((p) => {
+      const alert = alertByProduct.get(p._id.toString());
+      const snoozed = alert?.status === "snoozed" && alert.snoozedUntil > now;
+      return {
+        productId: p._id,
+        sku: p.sku,
+        name: p.name,
+        category: index.pathOf(p.categoryId),
+        metalType: p.metalType,
+        purity: p.purity,
+        quantity: p.quantity,
+        lowQuantity: p.lowQuantity,
+        reorderQty: Math.max(p.lowQuantity * 2 - p.quantity, 1),
+        alertId: alert?._id || null,
+        alertStatus: snoozed ? "snoozed" : alert?.status === "acknowledged" ? "acknowledged" : "open",
+      };
+    })
+    .filter((row) => row.alertStatus !== "snoozed");
+}
+
+// ✅ Queue the day's reorder digest once (safe to call repeatedly)
+async function queueDailyDigest(dateKey = toDateKey()) {
+  const items = await buildReorderDigest();
+  if (!items.length) return { dateKey, items, queued: 0 };
+
+  const lines = items.map((i) => `• ${i.sku} ${i.name}: ${i.quantity} pcs (reorder level ${i.lowQuantity}, suggest ${i.reorderQty})`);
+  const queued = await enqueue({
+    event: "stock.digest",
+    subject: `Reorder digest for ${dateKey}: ${items.length} item(s)`,
+    text: lines.join("\n"),
+    payload: { dateKey, items },
+    dedupeKey: `digest:${dateKey}`,
+  });
+  return { dateKey, items, queued: queued.length };
+}
+
+// ✅ Queue the digest each day once the shop clock passes ALERT_DIGEST_HOUR (default 9)
+function startDigestScheduler() {
+  const hour = Number(process.env.ALERT_DIGEST_HOUR ?? 9);
+  const timer = setInterval(async () => {
+    if (localParts().hour < hour) return;
+    try {
+      await queueDailyDigest();
+    } catch (err) {
+      console.error("❌ Reorder digest failed:", err);
+    }
+  }, 10 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { checkLowStock, buildReorderDigest, queueDailyDigest, startDigestScheduler };
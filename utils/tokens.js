@@ -0,0 +1,47 @@
+// utils/tokens.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// ✅ Short-lived access token; `tv` must match User.tokenVersion for it to be accepted
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user._id, username: user.username, role: user.role, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// ✅ Issue a refresh token (a new family per login, the same family when rotating)
+async function issueRefreshToken(user, req, { familyId = crypto.randomUUID(), session } = {}) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const [doc] = await RefreshToken.create(
+    [{
+      userId: user._id,
+      tokenHash: hashToken(token),
+      familyId,
+      tokenVersion: user.tokenVersion || 0,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+      createdByIp: req.ip,
+      userAgent: req.get("User-Agent"),
+    }],
+    { session }
+  );
+  return { token, doc };
+}
+
+// ✅ Access + refresh pair as sent to the client
+async function issueSession(user, req, options) {
+  const { token: refreshToken, doc } = await issueRefreshToken(user, req, options);
+  const accessToken = signAccessToken(user);
+  return { accessToken, refreshToken, refreshDoc: doc, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+module.exports = { hashToken, signAccessToken, issueRefreshToken, issueSession };